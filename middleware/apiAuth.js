@@ -0,0 +1,71 @@
+/**
+ * Admin API Authentication
+ * API key (Authorization: Bearer <key> or X-API-Key header), role and per-key rate limit checks
+ */
+
+const apiKeys = require('../services/apiKeys');
+const logger = require('../services/logger');
+
+// Methods that only read: everything else needs the dial role
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Key presented by the client
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function readApiKey(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1].trim() : req.get('X-API-Key') || null;
+}
+
+/**
+ * Express middleware protecting the admin API
+ * Reads (GET) need the read role; calls and changes (POST, DELETE...) need the dial role
+ */
+function verifyApiKey(req, res, next) {
+  const role = READ_METHODS.includes(req.method) ? 'read' : 'dial';
+  
+  if (!apiKeys.configured) {
+    return res.status(503).json({
+      error: 'API desabilitada',
+      message: 'Nenhuma chave de API configurada (API_KEYS_CONFIG)'
+    });
+  }
+  
+  const key = apiKeys.authenticate(readApiKey(req));
+  if (!key) {
+    logger.warn('API request rejected', { reason: 'invalid_key', method: req.method, url: req.originalUrl });
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Não autorizado', message: 'Chave de API ausente ou inválida' });
+  }
+  
+  if (!apiKeys.allows(key, role)) {
+    logger.warn('API request rejected', { reason: 'missing_role', keyName: key.name, role, method: req.method, url: req.originalUrl });
+    return res.status(403).json({ error: 'Proibido', message: `A chave não tem o papel ${role}` });
+  }
+  
+  const rate = apiKeys.consume(key);
+  res.set({
+    'RateLimit-Limit': String(rate.limit),
+    'RateLimit-Remaining': String(Math.max(rate.remaining, 0)),
+    'RateLimit-Reset': String(rate.resetSeconds)
+  });
+  
+  if (!rate.allowed) {
+    logger.warn('API request rejected', { reason: 'rate_limited', keyName: key.name, method: req.method, url: req.originalUrl });
+    res.set('Retry-After', String(rate.resetSeconds));
+    return res.status(429).json({
+      error: 'Limite de requisições excedido',
+      retryAfterSeconds: rate.resetSeconds
+    });
+  }
+  
+  req.apiKey = { name: key.name, roles: key.roles };
+  next();
+}
+
+module.exports = {
+  readApiKey,
+  verifyApiKey
+};
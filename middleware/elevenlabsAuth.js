@@ -0,0 +1,90 @@
+/**
+ * ElevenLabs Webhook Authentication
+ * Verifies the HMAC signature ElevenLabs sends in the ElevenLabs-Signature header
+ */
+
+const crypto = require('crypto');
+const logger = require('../services/logger');
+
+const DEFAULT_TOLERANCE_SECONDS = 30 * 60;
+
+/**
+ * Verify an ElevenLabs-Signature header against the raw request body
+ * Header format: `t=<unix timestamp>,v0=<hex HMAC-SHA256 of "<timestamp>.<body>">`
+ * @param {string} header - Signature header
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} secret - Webhook secret
+ * @param {Object} options - toleranceSeconds, now (ms)
+ * @returns {number} - Signed timestamp
+ * @throws {Error} - When the signature is missing, malformed, forged or outside the tolerance window
+ */
+function verifyElevenLabsSignature(header, rawBody, secret, options = {}) {
+  const toleranceSeconds = options.toleranceSeconds ?? DEFAULT_TOLERANCE_SECONDS;
+  const nowSeconds = Math.floor((options.now ?? Date.now()) / 1000);
+  
+  if (!header) {
+    throw new Error('Missing ElevenLabs-Signature header');
+  }
+  
+  if (!rawBody) {
+    throw new Error('Missing request body');
+  }
+  
+  const parts = {};
+  header.split(',').forEach(part => {
+    const [key, ...value] = part.trim().split('=');
+    parts[key] = value.join('=');
+  });
+  
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v0) {
+    throw new Error('Malformed ElevenLabs-Signature header');
+  }
+  
+  if (Math.abs(nowSeconds - timestamp) > toleranceSeconds) {
+    throw new Error('Signature timestamp outside the tolerance window');
+  }
+  
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+  
+  const received = Buffer.from(parts.v0, 'utf8');
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  
+  if (received.length !== expectedBuffer.length || !crypto.timingSafeEqual(received, expectedBuffer)) {
+    throw new Error('Invalid signature');
+  }
+  
+  return timestamp;
+}
+
+/**
+ * Express middleware protecting the ElevenLabs post-call webhook route
+ * Requires `req.rawBody`, captured by the JSON body parser
+ */
+function verifyElevenLabsWebhook(req, res, next) {
+  const secret = process.env.ELEVENLABS_WEBHOOK_SECRET;
+  
+  // Unverified outcomes could opt leads out or trigger redials: refuse them all
+  if (!secret) {
+    logger.error('ELEVENLABS_WEBHOOK_SECRET not configured, ElevenLabs webhook rejected');
+    return res.status(401).json({ error: 'Não autorizado', message: 'ELEVENLABS_WEBHOOK_SECRET não configurado' });
+  }
+  
+  try {
+    verifyElevenLabsSignature(req.get('ElevenLabs-Signature'), req.rawBody, secret, {
+      toleranceSeconds: parseInt(process.env.ELEVENLABS_WEBHOOK_TOLERANCE_SECONDS, 10) || DEFAULT_TOLERANCE_SECONDS
+    });
+    next();
+  } catch (error) {
+    logger.warn('ElevenLabs webhook rejected', { reason: error.message });
+    res.status(401).json({ error: 'Não autorizado', message: error.message });
+  }
+}
+
+module.exports = {
+  verifyElevenLabsSignature,
+  verifyElevenLabsWebhook
+};
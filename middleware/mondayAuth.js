@@ -0,0 +1,112 @@
+/**
+ * Monday.com Webhook Authentication
+ * Verifies the JWT sent by Monday.com in the Authorization header
+ */
+
+const crypto = require('crypto');
+const logger = require('../services/logger');
+
+const DEFAULT_MAX_AGE_SECONDS = 300;
+
+/**
+ * Decode a base64url string
+ * @param {string} value - Base64url encoded value
+ * @returns {Buffer}
+ */
+function base64UrlDecode(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Verify a Monday.com JWT (HS256) and its timestamps
+ * @param {string} token - JWT from the Authorization header
+ * @param {string} secret - Monday.com signing secret
+ * @param {Object} options - maxAgeSeconds, now (ms)
+ * @returns {Object} - Decoded payload
+ * @throws {Error} - When the token is missing, malformed, forged or expired
+ */
+function verifyMondayToken(token, secret, options = {}) {
+  const maxAgeSeconds = options.maxAgeSeconds ?? DEFAULT_MAX_AGE_SECONDS;
+  const nowSeconds = Math.floor((options.now ?? Date.now()) / 1000);
+  
+  if (!token) {
+    throw new Error('Missing Authorization header');
+  }
+  
+  const parts = token.replace(/^Bearer\s+/i, '').split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+  
+  const [encodedHeader, encodedPayload, signature] = parts;
+  
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(base64UrlDecode(encodedHeader).toString('utf8'));
+    payload = JSON.parse(base64UrlDecode(encodedPayload).toString('utf8'));
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+  
+  if (header.alg !== 'HS256') {
+    throw new Error(`Unsupported token algorithm: ${header.alg}`);
+  }
+  
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest();
+  const received = base64UrlDecode(signature);
+  
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw new Error('Invalid token signature');
+  }
+  
+  if (typeof payload.exp === 'number' && payload.exp < nowSeconds) {
+    throw new Error('Token expired');
+  }
+  
+  // Replay protection: the token must have been issued recently
+  if (typeof payload.iat !== 'number') {
+    throw new Error('Token without issue time');
+  }
+  if (Math.abs(nowSeconds - payload.iat) > maxAgeSeconds) {
+    throw new Error('Token issued outside the allowed time window');
+  }
+  
+  return payload;
+}
+
+/**
+ * Express middleware protecting the Monday.com webhook route
+ * Challenge handshakes are let through so the webhook can be registered
+ */
+function verifyMondayWebhook(req, res, next) {
+  const secret = process.env.MONDAY_WEBHOOK_SECRET;
+  
+  if (req.body?.challenge) {
+    return next();
+  }
+  
+  // Without the secret no delivery can be verified: refuse them all rather than dial for forged ones
+  if (!secret) {
+    logger.error('MONDAY_WEBHOOK_SECRET not configured, Monday.com webhook rejected');
+    return res.status(401).json({ error: 'Não autorizado', message: 'MONDAY_WEBHOOK_SECRET não configurado' });
+  }
+  
+  try {
+    req.mondayAuth = verifyMondayToken(req.get('Authorization'), secret, {
+      maxAgeSeconds: parseInt(process.env.MONDAY_WEBHOOK_MAX_AGE_SECONDS, 10) || DEFAULT_MAX_AGE_SECONDS
+    });
+    next();
+  } catch (error) {
+    logger.warn('Monday.com webhook rejected', { reason: error.message });
+    res.status(401).json({ error: 'Não autorizado', message: error.message });
+  }
+}
+
+module.exports = {
+  verifyMondayToken,
+  verifyMondayWebhook
+};
@@ -7,71 +7,288 @@ const bodyParser = require('body-parser');
 
 const mondayService = require('./services/monday');
 const elevenlabsService = require('./services/elevenlabs');
+const callLedger = require('./services/callLedger');
+const deduplicationService = require('./services/deduplication');
+const callQueue = require('./services/callQueue');
+const callDispatcher = require('./services/callDispatcher');
+const boardConfig = require('./services/boardConfig');
+const variableTemplate = require('./services/variableTemplate');
+const triggerRules = require('./services/triggerRules');
+const phoneNumber = require('./services/phoneNumber');
+const suppressionList = require('./services/suppressionList');
+const postCallProcessor = require('./services/postCallProcessor');
+const campaignService = require('./services/campaigns');
+const callTranscripts = require('./services/callTranscripts');
+const callReconciler = require('./services/callReconciler');
+const callMode = require('./services/callMode');
+const logger = require('./services/logger');
+const metrics = require('./services/metrics');
+const healthCheck = require('./services/healthCheck');
+const { ElevenLabsError } = require('./services/elevenlabsErrors');
+const { verifyMondayWebhook } = require('./middleware/mondayAuth');
+const { verifyElevenLabsWebhook } = require('./middleware/elevenlabsAuth');
+const { verifyApiKey } = require('./middleware/apiAuth');
+
+// Status HTTP para cada tipo de erro do ElevenLabs (demais: 502)
+const ELEVENLABS_ERROR_STATUS = {
+  ElevenLabsValidationError: 422,
+  ElevenLabsQuotaError: 429,
+  ElevenLabsUpstreamError: 502,
+  ElevenLabsAuthError: 502
+};
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Origens autorizadas a chamar a API pelo navegador (vazio: nenhuma)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
 // Middlewares
 app.use(helmet());
-app.use(cors());
-app.use(morgan('combined'));
-app.use(bodyParser.json());
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false }));
+app.use(morgan((tokens, req, res) => {
+  logger.info('Requisição HTTP', {
+    correlationId: res.get('X-Request-Id'),
+    method: req.method,
+    url: tokens.url(req, res),
+    status: Number(tokens.status(req, res)) || null,
+    durationMs: Number(tokens['response-time'](req, res)) || null
+  });
+  return null;
+}));
+app.use(bodyParser.json({
+  // Guarda o corpo original para validação de assinaturas de webhook
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
+// Correlation ID por requisição (depois dos parsers, que perderiam o contexto)
+app.use(logger.middleware());
+// Rotas de teste e administração exigem chave de API (os webhooks têm autenticação própria)
+app.use(['/test', '/calls', '/admin', '/logs', '/metrics'], verifyApiKey);
 
-// Health check
+// Health check (liveness: o processo responde)
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'OK', 
+    mode: callMode.mode,
     timestamp: new Date().toISOString(),
     service: 'Monday-ElevenLabs Bridge'
   });
 });
 
+// Readiness: configuração válida e Monday.com / ElevenLabs acessíveis (503 quando não está pronto)
+app.get('/health/ready', async (req, res) => {
+  const { ready, checks } = await healthCheck.readiness();
+  
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    mode: callMode.mode,
+    checks,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Métricas no formato do Prometheus
+app.get('/metrics', async (req, res) => {
+  res.type(metrics.contentType).send(await metrics.render());
+});
+
 // Webhook endpoint para Monday.com
 // Suporte para HEAD request (validação do Monday.com)
 app.head('/webhook/monday', (req, res) => {
   res.status(200).end();
 });
 
-app.post('/webhook/monday', async (req, res) => {
+app.post('/webhook/monday', verifyMondayWebhook, async (req, res) => {
+  metrics.webhookReceived('monday', req.body.challenge ? 'challenge' : req.body.event?.type);
+  
   // Verifica se é um challenge do Monday.com
   if (req.body.challenge) {
-    console.log('🔐 Challenge recebido do Monday.com:', req.body.challenge);
+    logger.info('Challenge recebido do Monday.com');
     return res.json({ challenge: req.body.challenge });
   }
+  
+  // Ignora reenvios da mesma entrega do Monday
+  const eventId = deduplicationService.getEventId(req.body);
+  if (!deduplicationService.claimEvent(eventId)) {
+    metrics.leadIgnored('duplicate_event');
+    return res.status(200).json({
+      success: true,
+      skipped: true,
+      reason: 'duplicate_event',
+      message: 'Evento já recebido, ignorado',
+      eventId
+    });
+  }
+  
   try {
-    console.log('📨 Webhook recebido do Monday.com:', JSON.stringify(req.body, null, 2));
+    logger.info('Webhook recebido do Monday.com', { eventId, eventType: req.body.event?.type || null });
+    logger.debug('Corpo do webhook do Monday.com', { body: req.body });
     
     // Processa dados do Monday
     const leadData = await mondayService.processWebhook(req.body);
     
     if (!leadData) {
+      metrics.leadIgnored('invalid_event');
       return res.status(400).json({ error: 'Dados inválidos do webhook' });
     }
     
-    console.log('📋 Dados do lead processados:', leadData);
+    logger.info('Dados do lead processados', {
+      eventType: leadData.eventType,
+      phoneType: leadData.phoneType || null,
+      phoneError: leadData.phoneError || null
+    });
+    
+    // Alterações das colunas escritas pelo próprio serviço (status e resultado da chamada) não disparam chamadas
+    if (leadData.columnId && mondayService.writtenColumns(leadData.boardId).includes(leadData.columnId)) {
+      logger.info('Coluna escrita pelo serviço, ignorando', { columnId: leadData.columnId });
+      metrics.leadIgnored('own_column');
+      return res.status(200).json({
+        success: true,
+        skipped: true,
+        reason: 'own_column',
+        message: 'Alteração de coluna escrita pelo serviço, ignorada',
+        leadId: leadData.id,
+        columnId: leadData.columnId
+      });
+    }
+    
+    // Avalia as regras de disparo do board
+    const trigger = triggerRules.evaluate(leadData);
+    if (!trigger.shouldCall) {
+      metrics.leadIgnored(trigger.reason);
+      return res.status(200).json({
+        success: true,
+        skipped: true,
+        reason: trigger.reason,
+        rule: trigger.rule,
+        message: trigger.reason === 'blocked_by_rule'
+          ? `Chamada bloqueada pela regra "${trigger.rule}"`
+          : 'Nenhuma regra de disparo corresponde ao evento, ignorado',
+        leadId: leadData.id,
+        eventType: leadData.eventType
+      });
+    }
+    
+    // Telefone presente mas inválido: registra o motivo no lead
+    if (!leadData.phone && leadData.phoneError) {
+      logger.info('Telefone inválido, ignorando', { reason: leadData.phoneError });
+      metrics.leadIgnored('invalid_phone');
+      
+      try {
+        await mondayService.recordInvalidPhone(leadData);
+      } catch (error) {
+        logger.error('Erro ao registrar telefone inválido no Monday.com', { error });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        skipped: true,
+        reason: 'invalid_phone',
+        message: 'Telefone inválido, ignorado',
+        leadId: leadData.id,
+        phoneError: leadData.phoneError
+      });
+    }
     
     // Valida se tem telefone
     if (!leadData.phone) {
-      console.log('⚠️ Lead sem telefone, ignorando...');
+      logger.info('Lead sem telefone, ignorando');
+      metrics.leadIgnored('no_phone');
       return res.status(200).json({ message: 'Lead sem telefone, ignorado' });
     }
     
-    // Inicia chamada via ElevenLabs
-    console.log('📞 Iniciando chamada via ElevenLabs...');
-    const callResult = await elevenlabsService.initiateCall(leadData);
+    // Valida as variáveis dinâmicas obrigatórias antes de discar
+    const { missing } = variableTemplate.build(leadData);
+    if (missing.length > 0) {
+      logger.info('Variáveis obrigatórias ausentes, ignorando', { missing });
+      metrics.leadIgnored('missing_variables');
+      return res.status(200).json({
+        success: true,
+        skipped: true,
+        reason: 'missing_variables',
+        message: 'Variáveis obrigatórias ausentes, ignorado',
+        leadId: leadData.id,
+        missing
+      });
+    }
     
-    console.log('✅ Chamada iniciada com sucesso:', callResult);
+    // Lista de não-ligar e coluna de consentimento do board
+    const blockedReason = callDispatcher.checkConsent(leadData);
+    if (blockedReason) {
+      callDispatcher.block(leadData, blockedReason);
+      metrics.leadIgnored('do_not_call');
+      return res.status(200).json({
+        success: true,
+        skipped: true,
+        reason: 'do_not_call',
+        message: 'Lead na lista de não-ligar, ignorado',
+        leadId: leadData.id,
+        detail: blockedReason
+      });
+    }
     
-    res.json({
+    // Lead cujas tentativas se esgotaram não é chamado de novo
+    const cooldown = deduplicationService.checkItemCooldown(leadData.id);
+    if (cooldown.exhausted) {
+      logger.info('Tentativas esgotadas, ignorando', { lastCallRecordId: cooldown.lastCallId });
+      metrics.leadIgnored('attempts_exhausted');
+      return res.status(200).json({
+        success: true,
+        skipped: true,
+        reason: 'attempts_exhausted',
+        message: 'Tentativas de chamada esgotadas, ignorado',
+        leadId: leadData.id,
+        eventId,
+        lastCallRecordId: cooldown.lastCallId
+      });
+    }
+    
+    // Garante no máximo uma chamada por item dentro do período de espera
+    if (!cooldown.allowed) {
+      logger.info('Lead chamado recentemente, ignorando', {
+        lastCallAt: cooldown.lastCallAt,
+        retryAfterSeconds: cooldown.retryAfterSeconds
+      });
+      metrics.leadIgnored('item_cooldown');
+      return res.status(200).json({
+        success: true,
+        skipped: true,
+        reason: 'item_cooldown',
+        message: 'Lead chamado recentemente, ignorado',
+        leadId: leadData.id,
+        eventId,
+        lastCallAt: cooldown.lastCallAt,
+        lastCallRecordId: cooldown.lastCallId,
+        retryAfterSeconds: cooldown.retryAfterSeconds
+      });
+    }
+    
+    // Registra a tentativa e enfileira a chamada (o Monday não espera o ElevenLabs)
+    const { job, callRecord, slot } = callDispatcher.schedule(leadData);
+    
+    logger.info('Chamada enfileirada', { jobId: job.id, callRecordId: callRecord.id, scheduledFor: job.runAt });
+    
+    res.status(202).json({
       success: true,
-      message: 'Chamada iniciada com sucesso',
+      message: slot.deferred ? 'Fora do horário de ligação, chamada agendada' : 'Chamada enfileirada',
       leadId: leadData.id,
-      callId: callResult.call_id
+      rule: trigger.rule,
+      jobId: job.id,
+      callRecordId: callRecord.id,
+      scheduledFor: job.runAt,
+      timezone: slot.timezone
     });
     
   } catch (error) {
-    console.error('❌ Erro ao processar webhook:', error);
+    logger.error('Erro ao processar webhook', { error });
+    // Permite que o Monday reenvie a entrega
+    deduplicationService.releaseEvent(eventId);
     res.status(500).json({
       error: 'Erro interno do servidor',
       message: error.message
@@ -79,63 +296,65 @@ app.post('/webhook/monday', async (req, res) => {
   }
 });
 
-// Webhook endpoint para ElevenLabs (debug de variáveis)
-app.post('/webhook/elevenlabs', async (req, res) => {
+// Webhook endpoint para ElevenLabs (post-call)
+app.post('/webhook/elevenlabs', verifyElevenLabsWebhook, async (req, res) => {
   try {
-    console.log('🔔 Webhook recebido do ElevenLabs:', JSON.stringify(req.body, null, 2));
-    
-    // Extrai dados do webhook do ElevenLabs
-    const {
-      conversation_id,
-      dynamic_variables,
-      status,
-      event_type,
-      call_id,
-      agent_id
-    } = req.body;
-    
-    console.log('📊 Dados extraídos do ElevenLabs:');
-    console.log('  🆔 Conversation ID:', conversation_id);
-    console.log('  📞 Call ID:', call_id);
-    console.log('  🤖 Agent ID:', agent_id);
-    console.log('  📋 Status:', status);
-    console.log('  🎯 Event Type:', event_type);
-    
-    // FOCO: Verificar se as variáveis chegaram corretamente
-    if (dynamic_variables) {
-      console.log('✅ VARIÁVEIS DINÂMICAS RECEBIDAS:');
-      console.log('  👤 Customer Name:', dynamic_variables.customer_name);
-      console.log('  🏢 Company Name:', dynamic_variables.company_name);
-      
-      // Verifica se as variáveis estão corretas
-      if (dynamic_variables.customer_name && dynamic_variables.company_name) {
-        console.log('🎉 SUCESSO: ElevenLabs recebeu as variáveis corretamente!');
-      } else {
-        console.log('⚠️ PROBLEMA: Variáveis estão vazias ou undefined');
-      }
-    } else {
-      console.log('❌ PROBLEMA: Nenhuma variável dinâmica foi recebida!');
+    logger.debug('Corpo do webhook do ElevenLabs', { body: req.body });
+    
+    // Normaliza o payload do ElevenLabs
+    const outcome = elevenlabsService.parsePostCallWebhook(req.body);
+    metrics.webhookReceived('elevenlabs', outcome.eventType);
+    
+    // Só transcrição e falha de início trazem o resultado (post_call_audio etc. não)
+    if (!elevenlabsService.isOutcomeEvent(outcome.eventType)) {
+      logger.info('Evento do ElevenLabs ignorado', { eventType: outcome.eventType, conversationId: outcome.conversationId });
+      return res.status(200).json({
+        success: true,
+        skipped: true,
+        reason: 'unsupported_event',
+        message: 'Evento sem resultado de chamada, ignorado',
+        eventType: outcome.eventType
+      });
     }
     
-    // Log completo para análise
-    console.log('📋 Webhook completo do ElevenLabs:', {
-      timestamp: new Date().toISOString(),
-      conversation_id,
-      dynamic_variables,
-      status,
-      event_type
+    // Continua o correlation ID da requisição que enfileirou a chamada
+    logger.bind({
+      correlationId: outcome.correlationId || callLedger.findByConversationId(outcome.conversationId)?.correlationId,
+      conversationId: outcome.conversationId,
+      itemId: outcome.itemId,
+      boardId: outcome.boardId
+    });
+    logger.info('Webhook recebido do ElevenLabs', {
+      eventType: outcome.eventType,
+      callId: outcome.callId,
+      agentId: outcome.agentId,
+      status: outcome.status,
+      durationSecs: outcome.durationSecs,
+      callSuccessful: outcome.callSuccessful
     });
     
+    // Aplica o resultado: histórico, opt-out, Monday e nova tentativa
+    const { callRecord, duplicate, optedOut, redial, mondayUpdate, mondayError } = await postCallProcessor.process(outcome);
+    
     // Responde ao ElevenLabs
     res.json({
       success: true,
       message: 'Webhook processado com sucesso',
-      received_variables: dynamic_variables || null,
+      conversationId: outcome.conversationId,
+      itemId: outcome.itemId,
+      callRecordId: callRecord?.id || null,
+      duplicate,
+      transcriptTurns: outcome.transcript.length,
+      optedOut,
+      redial,
+      mondayUpdated: !!(mondayUpdate && (mondayUpdate.columns.length > 0 || mondayUpdate.update)),
+      mondayError,
+      received_variables: outcome.dynamicVariables,
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
-    console.error('❌ Erro ao processar webhook do ElevenLabs:', error);
+    logger.error('Erro ao processar webhook do ElevenLabs', { error });
     res.status(500).json({
       error: 'Erro interno do servidor',
       message: error.message
@@ -152,25 +371,57 @@ app.post('/test/call', async (req, res) => {
       return res.status(400).json({ error: 'Telefone é obrigatório' });
     }
     
+    const phoneCheck = phoneNumber.normalize(phone);
+    if (!phoneCheck.valid) {
+      return res.status(400).json({ error: 'Telefone inválido', message: phoneCheck.reason });
+    }
+    
     const testLead = {
       id: 'test-' + Date.now(),
       name: name || 'Teste',
-      phone: phone,
+      phone: phoneCheck.e164,
+      phoneType: phoneCheck.type,
       source: 'manual-test'
     };
     
-    console.log('🧪 Testando chamada manual:', testLead);
+    logger.info('Testando chamada manual', { lead: testLead });
     
-    const callResult = await elevenlabsService.initiateCall(testLead);
+    const callRecord = callLedger.recordAttempt(testLead);
+    
+    let callResult;
+    try {
+      callResult = await callDispatcher.placeCall(testLead, callRecord);
+    } catch (error) {
+      if (error.blocked) {
+        return res.status(403).json({ error: 'Chamada bloqueada', message: error.message });
+      }
+      callLedger.update(callRecord.id, 'failed', {}, { error: error.message, errorType: error.name });
+      
+      // Erros do ElevenLabs viram respostas HTTP de acordo com o tipo
+      if (error instanceof ElevenLabsError) {
+        const status = ELEVENLABS_ERROR_STATUS[error.name] || 502;
+        if (error.retryAfterMs) res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+        return res.status(status).json({
+          error: 'Erro do ElevenLabs ao iniciar chamada',
+          type: error.name,
+          code: error.code,
+          message: error.message
+        });
+      }
+      throw error;
+    }
     
     res.json({
       success: true,
-      message: 'Chamada de teste iniciada',
+      message: callMode.isDryRun
+        ? 'Chamada de teste registrada (dry-run, nenhuma ligação feita)'
+        : 'Chamada de teste iniciada',
+      callRecordId: callRecord.id,
       callResult
     });
     
   } catch (error) {
-    console.error('❌ Erro no teste de chamada:', error);
+    logger.error('Erro no teste de chamada', { error });
     res.status(500).json({
       error: 'Erro ao testar chamada',
       message: error.message
@@ -178,23 +429,287 @@ app.post('/test/call', async (req, res) => {
   }
 });
 
-// Endpoint para logs (útil para debug)
-app.get('/logs', (req, res) => {
+// Histórico de chamadas
+app.get('/calls', (req, res) => {
+  const { itemId, boardId, status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  
+  const calls = callLedger.list({ itemId, boardId, status, limit });
+  
   res.json({
-    message: 'Logs disponíveis no console do servidor',
-    timestamp: new Date().toISOString()
+    count: calls.length,
+    calls
+  });
+});
+
+app.get('/calls/:id', (req, res) => {
+  const call = callLedger.get(req.params.id);
+  
+  if (!call) {
+    return res.status(404).json({ error: 'Chamada não encontrada' });
+  }
+  
+  res.json(call);
+});
+
+// Transcrição e análise da chamada (JSON ou texto com ?format=text)
+app.get('/calls/:id/transcript', (req, res) => {
+  const call = callLedger.get(req.params.id);
+  
+  if (!call) {
+    return res.status(404).json({ error: 'Chamada não encontrada' });
+  }
+  
+  const transcript = callTranscripts.get(call.id);
+  
+  if (!transcript) {
+    return res.status(404).json({ error: 'Transcrição não disponível para esta chamada' });
+  }
+  
+  if (req.query.format === 'text') {
+    return res.type('text/plain').send(callTranscripts.renderText(transcript, call));
+  }
+  
+  res.json(transcript);
+});
+
+// Fila de chamadas (administração)
+app.get('/admin/queue', (req, res) => {
+  res.json({
+    stats: callQueue.stats(),
+    jobs: callQueue.jobs()
   });
 });
 
-// Inicializa servidor
-app.listen(PORT, () => {
-  console.log(`🚀 Servidor rodando na porta ${PORT}`);
-  console.log(`📡 Webhook URL: http://localhost:${PORT}/webhook/monday`);
-  console.log(`🧪 Teste manual: http://localhost:${PORT}/test/call`);
-  console.log(`💚 Health check: http://localhost:${PORT}/health`);
+app.get('/admin/queue/dead-letter', (req, res) => {
+  const jobs = callQueue.deadLetterJobs();
+  res.json({
+    count: jobs.length,
+    jobs
+  });
+});
+
+app.post('/admin/queue/dead-letter/:id/replay', (req, res) => {
+  const job = callQueue.replay(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job não encontrado na dead-letter' });
+  }
+  
+  callLedger.update(job.payload.callRecordId, 'queued', {}, { replayed: true });
+  
+  res.json({
+    success: true,
+    message: 'Job reenfileirado',
+    job
+  });
 });
 
-// Tratamento de erros não capturados
-process.on('uncaughtException', (error) => {
-  console.error('❌ Erro não capturado:', error);
-});
\ No newline at end of file
+// Reconciliação de chamadas sem webhook de resultado (executa uma passada agora)
+app.post('/admin/reconcile', async (req, res) => {
+  try {
+    const summary = await callReconciler.tick();
+    
+    if (!summary) {
+      return res.status(409).json({ error: 'Reconciliação já em andamento' });
+    }
+    
+    res.json({ success: true, summary });
+    
+  } catch (error) {
+    logger.error('Erro na reconciliação de chamadas', { error });
+    res.status(500).json({
+      error: 'Erro interno do servidor',
+      message: error.message
+    });
+  }
+});
+
+// Lista de não-ligar
+app.get('/admin/dnc', (req, res) => {
+  const numbers = suppressionList.list();
+  res.json({
+    count: numbers.length,
+    numbers
+  });
+});
+
+app.post('/admin/dnc', (req, res) => {
+  const { phone, reason } = req.body;
+  
+  if (!phone) {
+    return res.status(400).json({ error: 'Telefone é obrigatório' });
+  }
+  
+  try {
+    const entry = suppressionList.add(phone, { reason, source: 'admin' });
+    res.status(201).json({ success: true, entry });
+  } catch (error) {
+    res.status(400).json({ error: 'Telefone inválido', message: error.message });
+  }
+});
+
+app.delete('/admin/dnc/:phone', (req, res) => {
+  if (!suppressionList.remove(req.params.phone)) {
+    return res.status(404).json({ error: 'Telefone não está na lista' });
+  }
+  
+  res.json({ success: true, message: 'Telefone removido da lista' });
+});
+
+app.get('/admin/dnc/audit', (req, res) => {
+  const { phone, itemId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  
+  const entries = suppressionList.auditTrail({ phone, itemId, limit });
+  res.json({
+    count: entries.length,
+    entries
+  });
+});
+
+// Campanhas (discagem em massa de um board ou grupo)
+app.post('/admin/campaigns', (req, res) => {
+  try {
+    const campaign = campaignService.create(req.body);
+    res.status(201).json({ success: true, campaign: campaignService.summarize(campaign) });
+  } catch (error) {
+    res.status(400).json({ error: 'Campanha inválida', message: error.message });
+  }
+});
+
+app.get('/admin/campaigns', (req, res) => {
+  const campaigns = campaignService.list().map(campaign => campaignService.summarize(campaign));
+  res.json({
+    count: campaigns.length,
+    campaigns
+  });
+});
+
+app.get('/admin/campaigns/:id', (req, res) => {
+  const campaign = campaignService.get(req.params.id);
+  
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campanha não encontrada' });
+  }
+  
+  res.json(campaignService.summarize(campaign));
+});
+
+app.post('/admin/campaigns/:id/:action(pause|resume|cancel)', (req, res) => {
+  try {
+    const campaign = campaignService[req.params.action](req.params.id);
+    res.json({ success: true, campaign: campaignService.summarize(campaign) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Não foi possível alterar a campanha', message: error.message });
+  }
+});
+
+// Uso da API do Monday.com (orçamento de complexidade)
+app.get('/admin/monday/usage', (req, res) => {
+  res.json(mondayService.client.stats());
+});
+
+// Colunas de um board, com sugestão de mapeamento para config/boards.json
+app.get('/admin/boards/:boardId/columns', async (req, res) => {
+  try {
+    const board = await mondayService.getBoardColumns(req.params.boardId);
+    
+    if (!board) {
+      return res.status(404).json({ error: 'Board não encontrado' });
+    }
+    
+    res.json({
+      board: { id: board.id, name: board.name },
+      columns: board.columns,
+      currentMapping: boardConfig.getBoard(board.id),
+      suggestedMapping: {
+        boards: {
+          [board.id]: { columns: mondayService.suggestColumnMapping(board.columns) }
+        }
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erro ao consultar colunas do board', { error });
+    res.status(500).json({
+      error: 'Erro ao consultar o Monday.com',
+      message: error.message
+    });
+  }
+});
+
+// Logs recentes, filtrados por lead (leadId), chamada (callId), correlationId ou nível mínimo
+app.get('/logs', (req, res) => {
+  const { leadId, callId, correlationId, level } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, logger.bufferSize);
+  
+  // Uma chamada registrada traz o fluxo inteiro: webhook do Monday, fila, ElevenLabs e pós-chamada
+  const call = callId ? callLedger.get(callId) : null;
+  
+  const entries = logger.recent({
+    itemId: leadId,
+    callId: call?.correlationId ? null : callId,
+    correlationId: call?.correlationId || correlationId,
+    level,
+    limit
+  });
+  
+  res.json({
+    count: entries.length,
+    entries
+  });
+});
+
+/**
+ * Inicia os processos em segundo plano (fila, campanhas, reconciliação)
+ */
+function startBackgroundServices() {
+  callDispatcher.start();
+  campaignService.start();
+  callReconciler.start();
+}
+
+/**
+ * Valida a configuração e inicia o servidor
+ */
+async function start() {
+  // Valida o modo de chamada (live, dry-run, sandbox) e as regras de disparo antes de aceitar chamadas
+  const configProblems = [...callMode.validate(), ...triggerRules.validate()];
+  if (configProblems.length > 0) {
+    configProblems.forEach(problem => logger.error('Configuração inválida', { problem }));
+    process.exit(1);
+  }
+  
+  // Em live/sandbox só inicia depois de validar as credenciais no ElevenLabs
+  const credentialProblems = await callMode.verifyCredentials(elevenlabsService.client);
+  if (credentialProblems.length > 0) {
+    credentialProblems.forEach(problem => logger.error('Credenciais do ElevenLabs inválidas', { problem }));
+    process.exit(1);
+  }
+  
+  app.listen(PORT, () => {
+    startBackgroundServices();
+    
+    logger.info('Servidor rodando', {
+      port: Number(PORT),
+      mode: callMode.mode,
+      sandboxNumbers: callMode.isSandbox ? callMode.describe().sandboxNumbers : undefined,
+      webhookUrl: `http://localhost:${PORT}/webhook/monday`,
+      testUrl: `http://localhost:${PORT}/test/call`,
+      healthUrl: `http://localhost:${PORT}/health`
+    });
+  });
+}
+
+// Executado diretamente inicia o servidor; importado (testes) apenas expõe o app
+if (require.main === module) {
+  // Tratamento de erros não capturados
+  process.on('uncaughtException', (error) => {
+    logger.error('Erro não capturado', { error });
+  });
+  
+  start();
+}
+
+module.exports = { app, startBackgroundServices };
@@ -0,0 +1,149 @@
+/**
+ * Agent Router
+ * Chooses the ElevenLabs agent, caller phone number and language of each call
+ * based on board, group or column values
+ */
+
+const fs = require('fs');
+const path = require('path');
+const triggerRules = require('./triggerRules');
+const logger = require('./logger');
+
+class AgentRouter {
+  
+  constructor() {
+    this.configPath = process.env.ROUTING_CONFIG ||
+                      path.join(__dirname, '..', 'config', 'routing.json');
+    
+    const config = this.load();
+    
+    // Profile built from .env, used when no route matches
+    this.agents = {
+      default: {
+        agentId: process.env.ELEVENLABS_AGENT_ID,
+        phoneNumberId: process.env.ELEVENLABS_PHONE_NUMBER_ID,
+        language: process.env.ELEVENLABS_LANGUAGE || null
+      },
+      ...config.agents
+    };
+    this.routes = config.routes || [];
+  }
+  
+  /**
+   * Load routing settings
+   * @returns {Object} - { agents, routes }
+   */
+  load() {
+    if (!fs.existsSync(this.configPath)) {
+      return { agents: {}, routes: [] };
+    }
+    
+    const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    logger.info('Routing config loaded', { routes: (config.routes || []).length });
+    return config;
+  }
+  
+  /**
+   * Check the boards and conditions of every route
+   * Run at startup: an invalid condition would otherwise fail every webhook routed through it
+   * @returns {Array<string>} - Problems found (empty when valid)
+   */
+  validateConditions() {
+    const problems = [];
+    
+    this.routes.forEach((route, index) => {
+      const name = route.name || `#${index}`;
+      
+      if (route.boards !== undefined && !Array.isArray(route.boards)) {
+        problems.push(`Route ${name} must list its boards`);
+      }
+      if (route.conditions !== undefined && !Array.isArray(route.conditions)) {
+        problems.push(`Route ${name} must list its conditions`);
+        return;
+      }
+      
+      (route.conditions || []).forEach(condition => {
+        const problem = triggerRules.conditionProblem(condition);
+        if (problem) problems.push(`Route ${name}: ${problem}`);
+      });
+    });
+    
+    return problems;
+  }
+  
+  /**
+   * Check that every agent profile in use has an agent ID and a phone number ID
+   * @returns {Array<string>} - Problems found (empty when valid)
+   */
+  validate() {
+    const problems = [];
+    
+    this.routes.forEach((route, index) => {
+      const name = route.name || `#${index}`;
+      if (!route.agent) {
+        problems.push(`Route ${name} has no agent`);
+      } else if (!this.agents[route.agent]) {
+        problems.push(`Route ${name} references unknown agent "${route.agent}"`);
+      }
+    });
+    
+    this.profilesInUse().forEach(name => {
+      const agent = this.agents[name];
+      if (!agent.agentId) problems.push(`Agent "${name}" has no agentId`);
+      if (!agent.phoneNumberId) problems.push(`Agent "${name}" has no phoneNumberId`);
+    });
+    
+    return problems;
+  }
+  
+  /**
+   * Names of the agent profiles that calls can be routed to (default and those used by routes)
+   * @returns {Array<string>}
+   */
+  profilesInUse() {
+    const inUse = new Set(['default']);
+    this.routes.forEach(route => {
+      if (route.agent && this.agents[route.agent]) inUse.add(route.agent);
+    });
+    return [...inUse];
+  }
+  
+  /**
+   * Pick the agent profile of a lead
+   * @param {Object} leadData - Lead data
+   * @returns {Object} - { route, agent, agentId, phoneNumberId, language }
+   */
+  route(leadData) {
+    const route = this.routes.find(candidate => this.matches(candidate, leadData));
+    const agentName = route ? route.agent : 'default';
+    const agent = this.agents[agentName];
+    
+    if (!agent) {
+      throw new Error(`Agent profile not configured: ${agentName}`);
+    }
+    
+    return {
+      route: route?.name || 'default',
+      agent: agentName,
+      agentId: agent.agentId,
+      phoneNumberId: agent.phoneNumberId,
+      language: agent.language || null
+    };
+  }
+  
+  /**
+   * Whether a route applies to a lead
+   * @param {Object} route - Route ({ boards, conditions })
+   * @param {Object} leadData - Lead data
+   * @returns {boolean}
+   */
+  matches(route, leadData) {
+    if (route.boards && !route.boards.map(String).includes(String(leadData.boardId))) {
+      return false;
+    }
+    
+    return (route.conditions || []).every(condition => triggerRules.checkCondition(condition, leadData));
+  }
+}
+
+module.exports = new AgentRouter();
@@ -0,0 +1,131 @@
+/**
+ * API Keys
+ * Keys of the admin API (test calls, call history, queue, campaigns, logs, metrics), loaded from a JSON file
+ * holding SHA-256 hashes of the keys, with their roles and a per-key rate limit
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Roles granted by each role: dialing keys can also read
+const ROLE_GRANTS = {
+  read: ['read'],
+  dial: ['read', 'dial']
+};
+
+const RATE_WINDOW_MS = 60000;
+
+class ApiKeys {
+  
+  constructor() {
+    this.configPath = process.env.API_KEYS_CONFIG ||
+                      path.join(__dirname, '..', 'config', 'api-keys.json');
+    this.defaultRatePerMinute = parseInt(process.env.API_RATE_LIMIT_PER_MINUTE, 10) || 60;
+    this.keys = this.load();
+    
+    // Requests in the current window, by key name
+    this.windows = new Map();
+  }
+  
+  /**
+   * Load the configured keys
+   * Entries without a valid hash, name or known role are ignored
+   * @returns {Array<Object>} - { name, hash, roles, ratePerMinute }
+   */
+  load() {
+    if (!fs.existsSync(this.configPath)) {
+      logger.warn('API keys config not found, admin routes are disabled', { file: this.configPath });
+      return [];
+    }
+    
+    const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    const keys = [];
+    
+    (config.keys || []).forEach(entry => {
+      const roles = (entry.roles || []).filter(role => ROLE_GRANTS[role]);
+      
+      if (!entry.name || !/^[0-9a-f]{64}$/i.test(entry.keyHash || '') || roles.length === 0) {
+        logger.warn('Invalid API key entry ignored', { keyName: entry.name || null });
+        return;
+      }
+      
+      keys.push({
+        name: entry.name,
+        hash: Buffer.from(entry.keyHash, 'hex'),
+        roles,
+        ratePerMinute: parseInt(entry.ratePerMinute, 10) || this.defaultRatePerMinute
+      });
+    });
+    
+    logger.info('API keys loaded', { keys: keys.map(key => key.name) });
+    return keys;
+  }
+  
+  /**
+   * Whether any key is configured
+   * @returns {boolean}
+   */
+  get configured() {
+    return this.keys.length > 0;
+  }
+  
+  /**
+   * Find the key matching a presented secret
+   * @param {string} secret - Key sent by the client
+   * @returns {Object|null} - Matching key
+   */
+  authenticate(secret) {
+    if (!secret) return null;
+    
+    const hash = this.hash(secret);
+    return this.keys.find(key => crypto.timingSafeEqual(key.hash, hash)) || null;
+  }
+  
+  /**
+   * Whether a key may use a route requiring a role
+   * @param {Object} key - Authenticated key
+   * @param {string} role - read or dial
+   * @returns {boolean}
+   */
+  allows(key, role) {
+    return key.roles.some(granted => ROLE_GRANTS[granted].includes(role));
+  }
+  
+  /**
+   * Count a request against the key's rate limit (fixed one-minute window)
+   * @param {Object} key - Authenticated key
+   * @returns {Object} - { allowed, limit, remaining, resetSeconds }
+   */
+  consume(key) {
+    const now = Date.now();
+    let window = this.windows.get(key.name);
+    
+    if (!window || now - window.startedAt >= RATE_WINDOW_MS) {
+      window = { startedAt: now, count: 0 };
+      this.windows.set(key.name, window);
+    }
+    
+    const allowed = window.count < key.ratePerMinute;
+    if (allowed) window.count++;
+    
+    return {
+      allowed,
+      limit: key.ratePerMinute,
+      remaining: key.ratePerMinute - window.count,
+      resetSeconds: Math.ceil((window.startedAt + RATE_WINDOW_MS - now) / 1000)
+    };
+  }
+  
+  /**
+   * SHA-256 hash of a key, as stored in the config file
+   * @param {string} secret - Key
+   * @returns {Buffer}
+   */
+  hash(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest();
+  }
+}
+
+module.exports = new ApiKeys();
@@ -0,0 +1,95 @@
+/**
+ * Board Configuration
+ * Per-board settings loaded from a JSON file (column mapping, extra fields, variable templates, trigger rules, data collection mapping)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+class BoardConfig {
+  
+  constructor() {
+    this.configPath = process.env.BOARD_CONFIG ||
+                      path.join(__dirname, '..', 'config', 'boards.json');
+    this.boards = this.load();
+  }
+  
+  /**
+   * Load board settings
+   * Settings under `defaults` apply to every board unless the board overrides them
+   * @returns {Object} - Settings keyed by board ID
+   */
+  load() {
+    this.defaults = {};
+    
+    if (!fs.existsSync(this.configPath)) {
+      logger.warn('Board config not found, using column heuristics', { file: this.configPath });
+      return {};
+    }
+    
+    const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    const boards = config.boards || {};
+    this.defaults = config.defaults || {};
+    
+    logger.info('Board config loaded', { boards: Object.keys(boards) });
+    return boards;
+  }
+  
+  /**
+   * Settings of a board
+   * @param {string|number} boardId - Board ID
+   * @returns {Object|null}
+   */
+  getBoard(boardId) {
+    if (boardId == null) return null;
+    return this.boards[String(boardId)] || null;
+  }
+  
+  /**
+   * Column mapping of a board (phone, email, company)
+   * @param {string|number} boardId - Board ID
+   * @returns {Object|null} - Column IDs by field, or null when the board has no mapping
+   */
+  getColumnMapping(boardId) {
+    return this.getBoard(boardId)?.columns || null;
+  }
+  
+  /**
+   * Extra fields of a board (name → column ID)
+   * @param {string|number} boardId - Board ID
+   * @returns {Object}
+   */
+  getFields(boardId) {
+    return this.getBoard(boardId)?.fields || {};
+  }
+  
+  /**
+   * Dynamic variable template of a board (falls back to `defaults.variables`)
+   * @param {string|number} boardId - Board ID
+   * @returns {Object|null} - Variable specs keyed by variable name
+   */
+  getVariables(boardId) {
+    return this.getBoard(boardId)?.variables || this.defaults.variables || null;
+  }
+  
+  /**
+   * Trigger rules of a board (falls back to `defaults.triggers`)
+   * @param {string|number} boardId - Board ID
+   * @returns {Array<Object>|null}
+   */
+  getTriggers(boardId) {
+    return this.getBoard(boardId)?.triggers || this.defaults.triggers || null;
+  }
+  
+  /**
+   * Mapping of ElevenLabs data collection results to columns (falls back to `defaults.dataCollection`)
+   * @param {string|number} boardId - Board ID
+   * @returns {Object} - Column specs keyed by data collection key
+   */
+  getDataCollection(boardId) {
+    return this.getBoard(boardId)?.dataCollection || this.defaults.dataCollection || {};
+  }
+}
+
+module.exports = new BoardConfig();
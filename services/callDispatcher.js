@@ -0,0 +1,299 @@
+/**
+ * Call Dispatcher
+ * Places queued calls through ElevenLabs and keeps the call ledger in sync
+ */
+
+const elevenlabsService = require('./elevenlabs');
+const mondayService = require('./monday');
+const callLedger = require('./callLedger');
+const callQueue = require('./callQueue');
+const callScheduler = require('./callScheduler');
+const suppressionList = require('./suppressionList');
+const boardConfig = require('./boardConfig');
+const triggerRules = require('./triggerRules');
+const deduplicationService = require('./deduplication');
+const variableTemplate = require('./variableTemplate');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+class CallDispatcher {
+  
+  /**
+   * Record a call attempt and queue it for the next allowed calling slot
+   * The job only keeps the item and call record IDs: the lead is read again from Monday.com when dialing
+   * @param {Object} leadData - Lead data
+   * @param {Object} options - notBefore (Date), attempt, previousCallId
+   * @returns {Object} - { job, callRecord, slot }
+   */
+  schedule(leadData, options = {}) {
+    const slot = callScheduler.getNextSlot(leadData, options.notBefore || new Date());
+    const callRecord = callLedger.recordAttempt(leadData, {
+      attempt: options.attempt,
+      previousCallId: options.previousCallId
+    });
+    const job = callQueue.enqueue({ itemId: callRecord.itemId, boardId: callRecord.boardId, callRecordId: callRecord.id }, {
+      runAt: slot.runAt,
+      context: {
+        correlationId: callRecord.correlationId,
+        itemId: callRecord.itemId,
+        boardId: callRecord.boardId,
+        callRecordId: callRecord.id
+      }
+    });
+    
+    callLedger.update(callRecord.id, 'queued', { jobId: job.id, timezone: slot.timezone }, {
+      scheduledFor: job.runAt,
+      timezone: slot.timezone
+    });
+    
+    if (slot.deferred) {
+      logger.info('Outside calling hours, call deferred', { runAt: job.runAt, timezone: slot.timezone });
+    }
+    
+    return { job, callRecord, slot };
+  }
+  
+  /**
+   * Lead of a call record, with the item's current column values (variables, do-not-call flag)
+   * The ledger and the queue only keep the lead's identity, which is used when the item can't be read
+   * @param {Object} callRecord - Call ledger record (itemId, boardId, name, phone, source)
+   * @returns {Promise<Object>} - Lead data
+   */
+  async loadLead(callRecord) {
+    const storedLead = {
+      id: callRecord.itemId,
+      boardId: callRecord.boardId,
+      name: callRecord.name,
+      phone: callRecord.phone,
+      source: callRecord.source
+    };
+    
+    try {
+      const itemData = await mondayService.fetchItemDetails(callRecord.boardId, callRecord.itemId);
+      if (!itemData) return storedLead;
+      
+      const leadData = mondayService.buildLeadFromItem(itemData, callRecord.boardId, callRecord.source);
+      // The number recorded for the call, when the item no longer has a valid one
+      leadData.phone = leadData.phone || callRecord.phone;
+      return leadData;
+    } catch (error) {
+      logger.warn('Could not fetch the item, using the call record', { error });
+      return storedLead;
+    }
+  }
+  
+  /**
+   * Queue the next attempt of an unanswered call
+   * @param {Object} callRecord - Call ledger record of the previous attempt
+   * @param {Date} notBefore - Earliest redial moment
+   * @returns {Promise<Object>} - { job, callRecord, slot }
+   */
+  async scheduleRedial(callRecord, notBefore) {
+    const leadData = await this.loadLead(callRecord);
+    
+    logger.info('Scheduling redial', { attempt: (callRecord.attempt || 1) + 1 });
+    
+    return this.schedule(leadData, {
+      notBefore,
+      attempt: (callRecord.attempt || 1) + 1,
+      previousCallId: callRecord.id
+    });
+  }
+  
+  /**
+   * Run every pre-dial check on a lead: phone, consent, cooldown (or exhausted attempts) and required variables
+   * Blocked leads are audited
+   * @param {Object} leadData - Lead data
+   * @returns {Object|null} - { reason, detail } when the lead must not be called, or null
+   */
+  checkEligibility(leadData) {
+    if (!leadData.phone) {
+      return leadData.phoneError
+        ? { reason: 'invalid_phone', detail: leadData.phoneError }
+        : { reason: 'no_phone', detail: 'Lead has no phone number' };
+    }
+    
+    const blockedReason = this.checkConsent(leadData);
+    if (blockedReason) {
+      this.block(leadData, blockedReason);
+      return { reason: 'do_not_call', detail: blockedReason };
+    }
+    
+    const cooldown = deduplicationService.checkItemCooldown(leadData.id);
+    if (cooldown.exhausted) {
+      return { reason: 'attempts_exhausted', detail: `Call attempts exhausted (call ${cooldown.lastCallId})` };
+    }
+    if (!cooldown.allowed) {
+      return {
+        reason: 'item_cooldown',
+        detail: cooldown.retryAfterSeconds === null
+          ? `Call ${cooldown.lastCallId} still ${cooldown.lastCallStatus}`
+          : `Called at ${cooldown.lastCallAt}`
+      };
+    }
+    
+    const { missing } = variableTemplate.build(leadData);
+    if (missing.length > 0) {
+      return { reason: 'missing_variables', detail: missing.join(', ') };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Check the do-not-call list and the board's do-not-call column
+   * @param {Object} leadData - Lead data
+   * @returns {string|null} - Why the lead must not be called, or null
+   */
+  checkConsent(leadData) {
+    const entry = suppressionList.get(leadData.phone);
+    if (entry) {
+      return `Number on do-not-call list${entry.reason ? ` (${entry.reason})` : ''}`;
+    }
+    
+    const column = boardConfig.getColumnMapping(leadData.boardId)?.doNotCall;
+    if (column && !leadData.mcpData) {
+      return `Do-not-call column ${column} could not be read (item data unavailable)`;
+    }
+    if (column && triggerRules.isChecked(triggerRules.valueText(leadData.mcpData.columns?.[column]))) {
+      return `Do-not-call flag set in column ${column}`;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Audit a blocked attempt and mark its call record
+   * @param {Object} leadData - Lead data
+   * @param {string} reason - Why the call was blocked
+   * @param {Object} callRecord - Call ledger record (optional)
+   */
+  block(leadData, reason, callRecord = null) {
+    suppressionList.recordBlocked(leadData, reason);
+    
+    if (callRecord) {
+      callLedger.update(callRecord.id, 'blocked', {}, { reason });
+    }
+  }
+  
+  /**
+   * Place a call for an existing call record
+   * @param {Object} leadData - Lead data
+   * @param {Object} callRecord - Call ledger record
+   * @returns {Promise<Object>} - Call result
+   * @throws {Error} - With `blocked: true` when consent checks fail
+   */
+  async placeCall(leadData, callRecord) {
+    logger.bind({ itemId: leadData.id, boardId: leadData.boardId, callRecordId: callRecord.id });
+    logger.info('Dispatching call');
+    
+    // Redials and replays may come without the item data the do-not-call column is read from
+    if (boardConfig.getColumnMapping(leadData.boardId)?.doNotCall && !leadData.mcpData) {
+      leadData = { ...leadData, mcpData: await mondayService.fetchItemDetails(leadData.boardId, leadData.id) };
+    }
+    
+    // Last check right before dialing: the list may have changed since the call was queued
+    const blockedReason = this.checkConsent(leadData);
+    if (blockedReason) {
+      this.block(leadData, blockedReason, callRecord);
+      
+      const error = new Error(`Call blocked: ${blockedReason}`);
+      error.blocked = true;
+      error.transient = false;
+      throw error;
+    }
+    
+    // Marks the window in which a crash leaves the call possibly placed (see recover)
+    callLedger.update(callRecord.id, 'dialing');
+    
+    let callResult;
+    try {
+      callResult = await elevenlabsService.initiateCall(leadData);
+    } catch (error) {
+      metrics.callFailed(error);
+      throw error;
+    }
+    
+    callLedger.markInitiated(callRecord.id, callResult);
+    metrics.callInitiated(callResult.mode);
+    
+    return callResult;
+  }
+  
+  /**
+   * Queue processor: place the call of a job
+   * @param {Object} job - Queue job
+   */
+  async process(job) {
+    const { itemId, boardId, callRecordId } = job.payload;
+    const existing = callLedger.get(callRecordId);
+    const lead = await this.loadLead(existing || { itemId, boardId });
+    
+    // Retries and replays may land outside calling hours
+    const slot = callScheduler.getNextSlot(lead);
+    if (slot.deferred) {
+      return { deferUntil: slot.runAt };
+    }
+    
+    const callRecord = existing || callLedger.recordAttempt(lead);
+    
+    try {
+      await this.placeCall(lead, callRecord);
+    } catch (error) {
+      // Blocked calls are final and already audited, not failures
+      if (error.blocked) return;
+      throw error;
+    }
+  }
+  
+  /**
+   * Decide what to do with a job interrupted by a restart
+   * A crash while dialing may come after ElevenLabs accepted the call: the lead is not dialed
+   * again automatically, the job goes to dead-letter and can be replayed after checking
+   * @param {Object} job - Queue job left in processing
+   * @returns {string} - requeue, done or dead
+   */
+  recover(job) {
+    const callRecord = callLedger.get(job.payload.callRecordId);
+    
+    if (callRecord?.callId || callRecord?.conversationId ||
+        ['initiated', 'dry_run', 'completed', 'failed', 'exhausted', 'blocked'].includes(callRecord?.status)) {
+      return 'done';
+    }
+    
+    if (callRecord?.status === 'dialing') {
+      callLedger.update(callRecord.id, 'unknown', {}, { reason: 'Interrupted while dialing, the call may have been placed' });
+      return 'dead';
+    }
+    
+    return 'requeue';
+  }
+  
+  /**
+   * Start the queue with this dispatcher as processor
+   */
+  start() {
+    callQueue.start({
+      process: job => this.process(job),
+      recover: job => this.recover(job),
+      onRetry: (job, error) => {
+        callLedger.update(job.payload.callRecordId, 'retrying', {}, {
+          error: error.message,
+          errorType: error.name,
+          attempt: job.attempts,
+          nextAttemptAt: job.runAt
+        });
+      },
+      // A call ElevenLabs may have placed is not final: the lead is held like an interrupted dial (see recover)
+      onDeadLetter: (job, error) => {
+        callLedger.update(job.payload.callRecordId, error.uncertain ? 'unknown' : 'failed', {}, {
+          error: error.message,
+          errorType: error.name,
+          attempts: job.attempts
+        });
+      }
+    });
+  }
+}
+
+module.exports = new CallDispatcher();
@@ -0,0 +1,244 @@
+/**
+ * Call Ledger
+ * Persistent record of every call attempt, linking Monday.com items to ElevenLabs conversations
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const JsonStore = require('./jsonStore');
+const logger = require('./logger');
+
+// Journal lines appended before calls.json is rewritten with every record
+const COMPACT_AFTER = 500;
+
+class CallLedger {
+  
+  constructor() {
+    this.store = new JsonStore('calls.json', { calls: {} });
+    
+    // Changes are appended to a journal (one line per changed record) instead of rewriting calls.json each time
+    this.journalPath = path.join(path.dirname(this.store.filePath), 'calls.journal.jsonl');
+    this.journalLines = 0;
+    this.replay();
+  }
+  
+  /**
+   * Apply the journal left by the previous run, then fold it into calls.json
+   * A line cut short by a crash is ignored
+   */
+  replay() {
+    if (!fs.existsSync(this.journalPath)) return;
+    
+    const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n').filter(Boolean);
+    lines.forEach(line => {
+      try {
+        const record = JSON.parse(line);
+        this.store.data.calls[record.id] = record;
+      } catch (error) {
+        logger.warn('Unreadable call journal line ignored', { file: this.journalPath });
+      }
+    });
+    
+    this.compact();
+  }
+  
+  /**
+   * Persist a created or changed record
+   * @param {Object} record - Call record
+   */
+  persist(record) {
+    fs.mkdirSync(path.dirname(this.journalPath), { recursive: true });
+    fs.appendFileSync(this.journalPath, `${JSON.stringify(record)}\n`);
+    
+    if (++this.journalLines >= COMPACT_AFTER) {
+      this.compact();
+    }
+  }
+  
+  /**
+   * Write every record to calls.json and empty the journal
+   */
+  compact() {
+    this.store.save();
+    fs.rmSync(this.journalPath, { force: true });
+    this.journalLines = 0;
+  }
+  
+  /**
+   * Record a new call attempt before dialing
+   * The attempt keeps the correlation ID of the request that triggered it (a new one outside requests)
+   * @param {Object} leadData - Lead data
+   * @param {Object} options - attempt (1-based), previousCallId for redials
+   * @returns {Object} - Call record
+   */
+  recordAttempt(leadData, options = {}) {
+    const now = new Date().toISOString();
+    
+    const record = {
+      id: crypto.randomUUID(),
+      itemId: leadData.id != null ? String(leadData.id) : null,
+      boardId: leadData.boardId != null ? String(leadData.boardId) : null,
+      name: leadData.name || null,
+      phone: leadData.phone || null,
+      source: leadData.source || null,
+      attempt: options.attempt || 1,
+      previousCallId: options.previousCallId || null,
+      correlationId: logger.context().correlationId || logger.newCorrelationId(),
+      dynamicVariables: null,
+      callId: null,
+      conversationId: null,
+      status: 'pending',
+      statusHistory: [{ status: 'pending', at: now }],
+      outcome: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    
+    this.store.data.calls[record.id] = record;
+    this.persist(record);
+    
+    logger.info('Call attempt recorded', { callRecordId: record.id, attempt: record.attempt });
+    return record;
+  }
+  
+  /**
+   * Store the ElevenLabs identifiers once the call was placed
+   * @param {string} id - Call record ID
+   * @param {Object} callResult - Result from ElevenLabsService.initiateCall
+   * @returns {Object} - Updated record
+   */
+  markInitiated(id, callResult) {
+    return this.update(id, callResult.status === 'dry_run' ? 'dry_run' : 'initiated', {
+      callId: callResult.call_id || null,
+      conversationId: callResult.conversation_id || null,
+      agentId: callResult.agent_id || null,
+      route: callResult.route || null,
+      dynamicVariables: callResult.dynamic_variables || null,
+      mode: callResult.mode || null,
+      dialedPhone: callResult.phone || null,
+      request: callResult.request || null
+    });
+  }
+  
+  /**
+   * Apply a status transition and optional field changes to a record
+   * @param {string} id - Call record ID
+   * @param {string} status - New status
+   * @param {Object} fields - Fields to merge into the record
+   * @param {Object} details - Extra information stored in the status history
+   * @returns {Object|null} - Updated record or null if not found
+   */
+  update(id, status, fields = {}, details = null) {
+    const record = this.store.data.calls[id];
+    
+    if (!record) {
+      logger.warn('Call record not found', { callRecordId: id });
+      return null;
+    }
+    
+    const now = new Date().toISOString();
+    Object.assign(record, fields);
+    
+    if (status && (status !== record.status || details)) {
+      record.status = status;
+      record.statusHistory.push(details ? { status, at: now, details } : { status, at: now });
+    }
+    
+    record.updatedAt = now;
+    this.persist(record);
+    
+    return record;
+  }
+  
+  /**
+   * Attach a post-call outcome to the matching call record
+   * Matches by conversation ID first, then by the Monday item ID sent as dynamic variable
+   * @param {Object} outcome - Parsed post-call data (see ElevenLabsService.parsePostCallWebhook)
+   * @returns {Object|null} - Updated record or null if no call matches
+   */
+  recordOutcome(outcome) {
+    const record = this.findByConversationId(outcome.conversationId) ||
+                   (outcome.itemId ? this.list({ itemId: outcome.itemId, limit: Infinity })
+                     .find(call => !call.conversationId) : null);
+    
+    if (!record) {
+      logger.warn('No call record matches the conversation', { conversationId: outcome.conversationId });
+      return null;
+    }
+    
+    const status = outcome.status === 'failed' ? 'failed' : 'completed';
+    
+    return this.update(record.id, status, {
+      conversationId: record.conversationId || outcome.conversationId,
+      callId: record.callId || outcome.callId,
+      outcome: {
+        status: outcome.status,
+        failureReason: outcome.failureReason,
+        terminationReason: outcome.terminationReason,
+        durationSecs: outcome.durationSecs,
+        callSuccessful: outcome.callSuccessful,
+        summary: outcome.summary,
+        receivedAt: new Date().toISOString()
+      }
+    });
+  }
+  
+  /**
+   * Get a call record by its ID, conversation ID or ElevenLabs call ID
+   * @param {string} id - Any of the identifiers
+   * @returns {Object|null} - Call record
+   */
+  get(id) {
+    if (!id) return null;
+    
+    return this.store.data.calls[id] ||
+           this.findByConversationId(id) ||
+           this.all().find(record => record.callId === id) ||
+           null;
+  }
+  
+  /**
+   * Find the call record for an ElevenLabs conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Object|null} - Call record
+   */
+  findByConversationId(conversationId) {
+    if (!conversationId) return null;
+    return this.all().find(record => record.conversationId === conversationId) || null;
+  }
+  
+  /**
+   * Find the most recent call record for a Monday item
+   * @param {string|number} itemId - Item ID
+   * @returns {Object|null} - Call record
+   */
+  findLatestByItemId(itemId) {
+    if (itemId == null) return null;
+    return this.list({ itemId, limit: 1 })[0] || null;
+  }
+  
+  /**
+   * List call records, newest first
+   * @param {Object} filters - itemId, boardId, status, limit
+   * @returns {Array<Object>} - Call records
+   */
+  list({ itemId, boardId, status, limit = 50 } = {}) {
+    return this.all()
+      .filter(record => itemId == null || record.itemId === String(itemId))
+      .filter(record => boardId == null || record.boardId === String(boardId))
+      .filter(record => !status || record.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+  
+  /**
+   * All call records
+   * @returns {Array<Object>}
+   */
+  all() {
+    return Object.values(this.store.data.calls);
+  }
+}
+
+module.exports = new CallLedger();
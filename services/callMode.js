@@ -0,0 +1,140 @@
+/**
+ * Call Mode
+ * Explicit dialing mode set with CALL_MODE:
+ * - live: real calls; the server refuses to start without valid ElevenLabs credentials
+ * - dry-run: nothing is dialed, the exact request that would be sent is recorded
+ * - sandbox: real calls, but only to an allow-list of test numbers (other leads are redirected)
+ */
+
+const crypto = require('crypto');
+const agentRouter = require('./agentRouter');
+const phoneNumber = require('./phoneNumber');
+const logger = require('./logger');
+
+const MODES = ['live', 'dry-run', 'sandbox'];
+
+class CallMode {
+  
+  constructor() {
+    this.mode = (process.env.CALL_MODE || 'live').trim().toLowerCase();
+    this.sandboxNumbers = (process.env.SANDBOX_NUMBERS || '')
+      .split(',')
+      .map(number => number.trim())
+      .filter(Boolean)
+      .map(number => phoneNumber.normalize(number));
+  }
+  
+  get isLive() {
+    return this.mode === 'live';
+  }
+  
+  get isDryRun() {
+    return this.mode === 'dry-run';
+  }
+  
+  get isSandbox() {
+    return this.mode === 'sandbox';
+  }
+  
+  /**
+   * Check the configuration required by the mode
+   * @returns {Array<string>} - Problems preventing the server from starting (empty when valid)
+   */
+  validate() {
+    if (!MODES.includes(this.mode)) {
+      return [`Invalid CALL_MODE "${this.mode}" (use ${MODES.join(', ')})`];
+    }
+    
+    // Route conditions must be valid in every mode: the route of each call is chosen with them
+    const conditionProblems = agentRouter.validateConditions();
+    const routingProblems = agentRouter.validate();
+    
+    // Dry-run records requests even when they could not be sent
+    if (this.isDryRun) {
+      routingProblems.forEach(problem => logger.warn('Routing config problem (dry-run)', { problem }));
+      return conditionProblems;
+    }
+    
+    const problems = [...conditionProblems, ...routingProblems];
+    
+    if (!process.env.ELEVENLABS_API_KEY) {
+      problems.push(`ELEVENLABS_API_KEY is required in ${this.mode} mode`);
+    }
+    
+    if (this.isSandbox) {
+      if (this.sandboxNumbers.length === 0) {
+        problems.push('SANDBOX_NUMBERS is required in sandbox mode');
+      }
+      this.sandboxNumbers
+        .filter(check => !check.valid)
+        .forEach(check => problems.push(`Invalid sandbox number ${check.input}: ${check.reason}`));
+    }
+    
+    return problems;
+  }
+  
+  /**
+   * Check the credentials against ElevenLabs: the API key must be accepted and every agent in use must exist
+   * Credentials that can't be verified (ElevenLabs unreachable) block the start too: nothing is dialed unchecked
+   * @param {Object} client - ElevenLabsClient
+   * @returns {Promise<Array<string>>} - Problems found (empty when valid)
+   */
+  async verifyCredentials(client) {
+    if (this.isDryRun) return [];
+    
+    const agentIds = [...new Set(agentRouter.profilesInUse().map(name => agentRouter.agents[name].agentId))];
+    const problems = [];
+    
+    for (const agentId of agentIds) {
+      try {
+        await client.get(`/convai/agents/${encodeURIComponent(agentId)}`);
+      } catch (error) {
+        if (error.name === 'ElevenLabsAuthError') {
+          problems.push(`ElevenLabs rejected the API key: ${error.message}`);
+          break;
+        }
+        if (error.name === 'ElevenLabsValidationError') {
+          problems.push(`ElevenLabs agent ${agentId} not found: ${error.message}`);
+          continue;
+        }
+        problems.push(`Could not verify ElevenLabs credentials: ${error.message}`);
+        break;
+      }
+    }
+    
+    return problems;
+  }
+  
+  /**
+   * Number actually dialed for a lead
+   * In sandbox mode, numbers outside the allow-list are replaced by a test number (always the same for a lead)
+   * @param {string} phone - Lead phone (E.164)
+   * @returns {Object} - { phone, redirected }
+   */
+  resolvePhone(phone) {
+    if (!this.isSandbox) {
+      return { phone, redirected: false };
+    }
+    
+    const allowed = this.sandboxNumbers.filter(check => check.valid).map(check => check.e164);
+    if (allowed.includes(phone)) {
+      return { phone, redirected: false };
+    }
+    
+    const index = crypto.createHash('sha1').update(String(phone)).digest().readUInt32BE(0) % allowed.length;
+    return { phone: allowed[index], redirected: true };
+  }
+  
+  /**
+   * Mode summary for logs and health checks
+   * @returns {Object}
+   */
+  describe() {
+    return {
+      mode: this.mode,
+      sandboxNumbers: this.isSandbox ? this.sandboxNumbers.map(check => check.e164 || check.input) : undefined
+    };
+  }
+}
+
+module.exports = new CallMode();
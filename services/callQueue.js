@@ -0,0 +1,296 @@
+/**
+ * Call Queue
+ * Durable job queue dispatching outbound calls with a concurrency limit,
+ * exponential backoff for transient errors and a dead-letter list
+ */
+
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+const logger = require('./logger');
+
+class CallQueue {
+  
+  constructor() {
+    this.store = new JsonStore('call-queue.json', { jobs: {}, deadLetter: {} });
+    this.concurrency = parseInt(process.env.CALL_QUEUE_CONCURRENCY, 10) || 2;
+    this.maxAttempts = parseInt(process.env.CALL_QUEUE_MAX_ATTEMPTS, 10) || 5;
+    this.backoffBaseMs = parseInt(process.env.CALL_QUEUE_BACKOFF_BASE_MS, 10) || 5000;
+    this.backoffMaxMs = parseInt(process.env.CALL_QUEUE_BACKOFF_MAX_MS, 10) || 5 * 60 * 1000;
+    this.pollIntervalMs = parseInt(process.env.CALL_QUEUE_POLL_INTERVAL_MS, 10) || 1000;
+    
+    this.handlers = null;
+    this.active = 0;
+    this.timer = null;
+  }
+  
+  /**
+   * Start processing jobs
+   * Jobs left in `processing` by a previous run are handed to `recover`, which tells whether the
+   * interrupted work can run again (`requeue`, the default), already finished (`done`) or must not
+   * be repeated blindly (`dead`, moved to dead-letter for a manual replay).
+   * `process` may resolve with `{ deferUntil }` to postpone a job without counting an attempt.
+   * @param {Object} handlers - process(job), recover(job), onRetry(job, error), onDeadLetter(job, error)
+   */
+  start(handlers) {
+    this.handlers = handlers;
+    
+    this.jobs().filter(job => job.status === 'processing').forEach(job => this.recover(job));
+    this.store.save();
+    
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.timer.unref();
+    
+    logger.info('Call queue started', {
+      concurrency: this.concurrency,
+      maxAttempts: this.maxAttempts,
+      pending: this.jobs().length,
+      deadLetter: this.deadLetterJobs().length
+    });
+    
+    this.tick();
+  }
+  
+  /**
+   * Resolve a job interrupted by a restart
+   * @param {Object} job - Job left in `processing`
+   */
+  recover(job) {
+    const action = this.handlers.recover?.(job) || 'requeue';
+    job.updatedAt = new Date().toISOString();
+    
+    if (action === 'done') {
+      delete this.store.data.jobs[job.id];
+      logger.info('Interrupted call job already completed', { jobId: job.id });
+    
+    } else if (action === 'dead') {
+      job.status = 'dead';
+      job.lastError = { message: 'Interrupted by a restart, outcome unknown', status: null, at: job.updatedAt };
+      delete this.store.data.jobs[job.id];
+      this.store.data.deadLetter[job.id] = job;
+      logger.warn('Interrupted call job moved to dead-letter', { jobId: job.id });
+    
+    } else {
+      job.status = 'queued';
+      logger.info('Interrupted call job queued again', { jobId: job.id });
+    }
+  }
+  
+  /**
+   * Stop processing jobs (in-flight jobs finish normally)
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+  
+  /**
+   * Add a call to the queue
+   * @param {Object} payload - Job payload (item, board and call record IDs)
+   * @param {Object} options - runAt (Date or ISO string), context (log context the job runs with,
+   *                           defaults to the current one)
+   * @returns {Object} - Job
+   */
+  enqueue(payload, options = {}) {
+    const now = new Date().toISOString();
+    
+    const job = {
+      id: crypto.randomUUID(),
+      payload,
+      context: options.context || logger.context(),
+      status: 'queued',
+      attempts: 0,
+      runAt: options.runAt ? new Date(options.runAt).toISOString() : now,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    
+    this.store.data.jobs[job.id] = job;
+    this.store.save();
+    
+    logger.info('Call job queued', { jobId: job.id, runAt: job.runAt });
+    setImmediate(() => this.tick());
+    
+    return job;
+  }
+  
+  /**
+   * Dispatch due jobs while below the concurrency limit
+   */
+  tick() {
+    if (!this.handlers) return;
+    
+    const now = Date.now();
+    const due = this.jobs()
+      .filter(job => job.status === 'queued' && new Date(job.runAt).getTime() <= now)
+      .sort((a, b) => a.runAt.localeCompare(b.runAt));
+    
+    while (this.active < this.concurrency && due.length > 0) {
+      this.runJob(due.shift());
+    }
+  }
+  
+  /**
+   * Run a single job under the log context it was queued with
+   * @param {Object} job - Job
+   */
+  async runJob(job) {
+    return logger.run({ ...job.context, jobId: job.id }, () => this.executeJob(job));
+  }
+  
+  /**
+   * Process a job and handle its result (done, deferred, retry or dead-letter)
+   * @param {Object} job - Job
+   */
+  async executeJob(job) {
+    this.active++;
+    job.status = 'processing';
+    job.attempts++;
+    job.updatedAt = new Date().toISOString();
+    this.store.save();
+    
+    try {
+      const result = await this.handlers.process(job);
+      
+      if (result?.deferUntil) {
+        job.status = 'queued';
+        job.attempts--;
+        job.runAt = new Date(result.deferUntil).toISOString();
+        logger.info('Call job deferred', { runAt: job.runAt });
+      } else {
+        delete this.store.data.jobs[job.id];
+        logger.info('Call job completed');
+      }
+      
+    } catch (error) {
+      job.lastError = { message: error.message, status: error.status || null, at: new Date().toISOString() };
+      job.updatedAt = job.lastError.at;
+      
+      if (this.isTransient(error) && job.attempts < this.maxAttempts) {
+        const delayMs = this.getBackoffDelay(job.attempts, error);
+        job.status = 'queued';
+        job.runAt = new Date(Date.now() + delayMs).toISOString();
+        
+        logger.warn('Call job failed, retrying', {
+          attempt: job.attempts,
+          maxAttempts: this.maxAttempts,
+          retryInSeconds: Math.round(delayMs / 1000),
+          error
+        });
+        await this.notify('onRetry', job, error);
+      } else {
+        job.status = 'dead';
+        delete this.store.data.jobs[job.id];
+        this.store.data.deadLetter[job.id] = job;
+        
+        logger.error('Call job moved to dead-letter', { attempts: job.attempts, error });
+        await this.notify('onDeadLetter', job, error);
+      }
+    } finally {
+      this.store.save();
+      this.active--;
+      setImmediate(() => this.tick());
+    }
+  }
+  
+  /**
+   * Call an optional lifecycle handler without letting it break the queue
+   * @param {string} name - Handler name
+   * @param {Object} job - Job
+   * @param {Error} error - Error that caused the transition
+   */
+  async notify(name, job, error) {
+    try {
+      await this.handlers[name]?.(job, error);
+    } catch (handlerError) {
+      logger.error('Error in call queue handler', { handler: name, error: handlerError });
+    }
+  }
+  
+  /**
+   * Whether an error is worth retrying
+   * Rate limits, upstream 5xx and network errors (no HTTP status) are transient
+   * @param {Error} error - Error thrown by the job
+   * @returns {boolean}
+   */
+  isTransient(error) {
+    if (error.transient !== undefined) return error.transient;
+    if (!error.status) return !!error.code;
+    return error.status === 429 || error.status >= 500;
+  }
+  
+  /**
+   * Exponential backoff with jitter, honouring Retry-After when provided
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {Error} error - Error thrown by the job
+   * @returns {number} - Delay in milliseconds
+   */
+  getBackoffDelay(attempt, error) {
+    if (error.retryAfterMs) {
+      return Math.min(error.retryAfterMs, this.backoffMaxMs);
+    }
+    
+    const exponential = this.backoffBaseMs * Math.pow(2, attempt - 1);
+    const jitter = Math.random() * this.backoffBaseMs;
+    return Math.min(exponential + jitter, this.backoffMaxMs);
+  }
+  
+  /**
+   * Replay a dead-letter job
+   * @param {string} id - Job ID
+   * @returns {Object|null} - Re-queued job or null if not found
+   */
+  replay(id) {
+    const job = this.store.data.deadLetter[id];
+    if (!job) return null;
+    
+    delete this.store.data.deadLetter[id];
+    
+    Object.assign(job, {
+      status: 'queued',
+      attempts: 0,
+      runAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    
+    this.store.data.jobs[id] = job;
+    this.store.save();
+    
+    logger.info('Dead-letter job replayed', { jobId: id });
+    setImmediate(() => this.tick());
+    
+    return job;
+  }
+  
+  /**
+   * Pending and in-flight jobs
+   * @returns {Array<Object>}
+   */
+  jobs() {
+    return Object.values(this.store.data.jobs);
+  }
+  
+  /**
+   * Permanently failed jobs
+   * @returns {Array<Object>}
+   */
+  deadLetterJobs() {
+    return Object.values(this.store.data.deadLetter);
+  }
+  
+  /**
+   * Queue statistics
+   * @returns {Object}
+   */
+  stats() {
+    const jobs = this.jobs();
+    return {
+      queued: jobs.filter(job => job.status === 'queued').length,
+      processing: jobs.filter(job => job.status === 'processing').length,
+      deadLetter: this.deadLetterJobs().length,
+      concurrency: this.concurrency
+    };
+  }
+}
+
+module.exports = new CallQueue();
@@ -0,0 +1,171 @@
+/**
+ * Call Reconciler
+ * Polls ElevenLabs for calls whose post-call webhook never arrived, applies their outcome
+ * the same way the webhook would, and gives up on calls older than a maximum age
+ */
+
+const elevenlabsService = require('./elevenlabs');
+const callLedger = require('./callLedger');
+const postCallProcessor = require('./postCallProcessor');
+const logger = require('./logger');
+
+// Conversation statuses with a final outcome
+const FINAL_STATUSES = ['done', 'failed'];
+
+// Conversations returned by the list request in one tick
+const RECENT_CONVERSATIONS = 100;
+
+class CallReconciler {
+  
+  constructor() {
+    this.intervalMs = (parseInt(process.env.RECONCILE_INTERVAL_SECONDS, 10) || 60) * 1000;
+    this.afterMs = (parseInt(process.env.RECONCILE_AFTER_SECONDS, 10) || 15 * 60) * 1000;
+    this.maxAgeMs = (parseInt(process.env.RECONCILE_MAX_AGE_SECONDS, 10) || 24 * 60 * 60) * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+  
+  /**
+   * Start polling
+   */
+  start() {
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error('Call reconciliation failed', { error }));
+    }, this.intervalMs);
+    this.timer.unref();
+    
+    logger.info('Call reconciler started', {
+      intervalSeconds: this.intervalMs / 1000,
+      afterSeconds: this.afterMs / 1000,
+      maxAgeSeconds: this.maxAgeMs / 1000
+    });
+  }
+  
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+  
+  /**
+   * Run one reconciliation pass, skipping it when the previous one is still running
+   * @returns {Promise<Object|null>} - Pass summary, or null when skipped
+   */
+  async tick() {
+    if (this.running) return null;
+    this.running = true;
+    
+    try {
+      return await this.reconcile();
+    } finally {
+      this.running = false;
+    }
+  }
+  
+  /**
+   * Reconcile every call still waiting for its outcome after the timeout
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - { checked, reconciled, unknown, pending }
+   */
+  async reconcile(now = new Date()) {
+    const summary = { checked: 0, reconciled: 0, unknown: 0, pending: 0 };
+    
+    const calls = this.pendingCalls(now);
+    if (calls.length === 0) return summary;
+    
+    const statuses = await this.recentStatuses();
+    
+    for (const call of calls) {
+      summary.checked++;
+      
+      // Logged under the correlation ID of the call it reconciles
+      const result = await logger.run({
+        correlationId: call.correlationId,
+        callRecordId: call.id,
+        itemId: call.itemId,
+        conversationId: call.conversationId
+      }, () => this.reconcileCall(call, statuses, now));
+      summary[result]++;
+    }
+    
+    logger.info('Call reconciliation finished', summary);
+    return summary;
+  }
+  
+  /**
+   * Calls placed before the timeout that haven't received an outcome
+   * @param {Date} now - Current time
+   * @returns {Array<Object>} - Call records
+   */
+  pendingCalls(now) {
+    return callLedger.all().filter(call =>
+      call.status === 'initiated' && now - this.initiatedAt(call) >= this.afterMs
+    );
+  }
+  
+  /**
+   * Status of recent conversations, to avoid fetching details of calls still in progress
+   * @returns {Promise<Map>} - Conversation ID → status
+   */
+  async recentStatuses() {
+    if (!elevenlabsService.apiKey) return new Map();
+    
+    try {
+      const conversations = await elevenlabsService.listRecentCalls(RECENT_CONVERSATIONS);
+      return new Map(conversations.map(conversation => [conversation.conversation_id, conversation.status]));
+    } catch (error) {
+      return new Map();
+    }
+  }
+  
+  /**
+   * Reconcile a single call
+   * @param {Object} call - Call record
+   * @param {Map} statuses - Recent conversation statuses
+   * @param {Date} now - Current time
+   * @returns {Promise<string>} - 'reconciled', 'unknown' or 'pending'
+   */
+  async reconcileCall(call, statuses, now) {
+    const knownStatus = statuses.get(call.conversationId);
+    const mayBeFinal = !knownStatus || FINAL_STATUSES.includes(knownStatus);
+    
+    if (call.conversationId && elevenlabsService.apiKey && mayBeFinal) {
+      try {
+        const conversation = await elevenlabsService.getCallStatus(call.conversationId);
+        
+        // The webhook may have arrived while the conversation was being fetched
+        if (FINAL_STATUSES.includes(conversation.status) && callLedger.get(call.id).status === 'initiated') {
+          const outcome = elevenlabsService.parsePostCallWebhook(conversation);
+          await postCallProcessor.process(outcome);
+          
+          logger.info('Call reconciled from ElevenLabs', { status: conversation.status });
+          return 'reconciled';
+        }
+      } catch (error) {
+        logger.error('Error reconciling call', { error });
+      }
+    }
+    
+    if (now - this.initiatedAt(call) >= this.maxAgeMs) {
+      callLedger.update(call.id, 'unknown', {}, { reason: 'No post-call outcome received' });
+      logger.warn('Call outcome unknown after max age');
+      return 'unknown';
+    }
+    
+    return 'pending';
+  }
+  
+  /**
+   * When a call was placed
+   * @param {Object} call - Call record
+   * @returns {Date}
+   */
+  initiatedAt(call) {
+    const entry = [...call.statusHistory].reverse().find(history => history.status === 'initiated');
+    return new Date(entry ? entry.at : call.createdAt);
+  }
+}
+
+module.exports = new CallReconciler();
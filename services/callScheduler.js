@@ -0,0 +1,304 @@
+/**
+ * Call Scheduler
+ * Calling-hours policy: allowed windows per weekday, holiday blackouts and
+ * per-lead timezone (Monday.com column or phone country/area code)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const phoneNumber = require('./phoneNumber');
+const logger = require('./logger');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MAX_LOOKAHEAD_DAYS = 31;
+
+// Brazilian area codes (DDD) outside the UTC-3 zone
+const BRAZIL_DDD_TIMEZONES = {
+  65: 'America/Cuiaba',
+  66: 'America/Cuiaba',
+  67: 'America/Campo_Grande',
+  68: 'America/Rio_Branco',
+  69: 'America/Porto_Velho',
+  92: 'America/Manaus',
+  95: 'America/Boa_Vista',
+  97: 'America/Manaus'
+};
+
+// Country calling codes with a single (or dominant) timezone
+const COUNTRY_TIMEZONES = {
+  55: 'America/Sao_Paulo',
+  351: 'Europe/Lisbon',
+  34: 'Europe/Madrid',
+  44: 'Europe/London',
+  52: 'America/Mexico_City',
+  54: 'America/Argentina/Buenos_Aires',
+  56: 'America/Santiago',
+  57: 'America/Bogota',
+  51: 'America/Lima',
+  595: 'America/Asuncion',
+  598: 'America/Montevideo'
+};
+
+class CallScheduler {
+  
+  constructor() {
+    const configPath = process.env.CALLING_HOURS_CONFIG ||
+                       path.join(__dirname, '..', 'config', 'calling-hours.json');
+    this.config = this.loadConfig(configPath);
+  }
+  
+  /**
+   * Load the calling-hours policy
+   * @param {string} configPath - JSON file path
+   * @returns {Object|null} - Policy or null when calling hours are not enforced
+   */
+  loadConfig(configPath) {
+    if (!fs.existsSync(configPath)) {
+      logger.warn('Calling hours config not found, calls are not restricted', { file: configPath });
+      return null;
+    }
+    
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    
+    if (!this.isValidTimezone(config.defaultTimezone)) {
+      throw new Error(`Invalid defaultTimezone in calling hours config: ${config.defaultTimezone}`);
+    }
+    
+    return {
+      defaultTimezone: config.defaultTimezone,
+      timezoneColumn: config.timezoneColumn || null,
+      windows: WEEKDAYS.reduce((windows, day) => {
+        windows[day] = (config.windows?.[day] || []).map(([start, end]) => ({
+          start: this.parseTime(start),
+          end: this.parseTime(end)
+        }));
+        return windows;
+      }, {}),
+      holidays: this.parseHolidays(config.holidays)
+    };
+  }
+  
+  /**
+   * Read the holidays: a list of dates applies to every lead, an object keys the dates by
+   * country (BR, PT, US...) and applies them to the leads whose phone is from that country
+   * @param {Array<string>|Object} holidays - Holidays config
+   * @returns {Object} - { all: Set, byCountry: Object<string, Set> }
+   */
+  parseHolidays(holidays = []) {
+    if (Array.isArray(holidays)) {
+      return { all: new Set(holidays), byCountry: {} };
+    }
+    
+    return {
+      all: new Set(),
+      byCountry: Object.fromEntries(
+        Object.entries(holidays).map(([country, dates]) => [country.toUpperCase(), new Set(dates)])
+      )
+    };
+  }
+  
+  /**
+   * Holidays that apply to a lead (its phone's country and those of every lead)
+   * @param {Object} leadData - Lead data
+   * @returns {Set<string>} - YYYY-MM-DD dates
+   */
+  getLeadHolidays(leadData) {
+    const { all, byCountry } = this.config.holidays;
+    const country = leadData.phone ? phoneNumber.normalize(leadData.phone).country : null;
+    
+    return byCountry[country] ? new Set([...all, ...byCountry[country]]) : all;
+  }
+  
+  /**
+   * Find the moment a lead can be called
+   * @param {Object} leadData - Lead data
+   * @param {Date} from - Earliest moment (defaults to now)
+   * @returns {Object} - { runAt: Date, timezone, deferred }
+   */
+  getNextSlot(leadData, from = new Date()) {
+    if (!this.config) {
+      return { runAt: from, timezone: null, deferred: false };
+    }
+    
+    const timezone = this.getLeadTimezone(leadData);
+    const runAt = this.findNextAllowed(from, timezone, this.getLeadHolidays(leadData));
+    
+    if (!runAt) {
+      throw new Error(`No calling window available in the next ${MAX_LOOKAHEAD_DAYS} days`);
+    }
+    
+    return {
+      runAt,
+      timezone,
+      deferred: runAt.getTime() > from.getTime()
+    };
+  }
+  
+  /**
+   * Whether a lead can be called at a given moment
+   * @param {Object} leadData - Lead data
+   * @param {Date} at - Moment to check
+   * @returns {boolean}
+   */
+  isAllowed(leadData, at = new Date()) {
+    return !this.getNextSlot(leadData, at).deferred;
+  }
+  
+  /**
+   * Resolve the lead timezone: Monday.com column, then phone number, then default
+   * @param {Object} leadData - Lead data
+   * @returns {string} - IANA timezone
+   */
+  getLeadTimezone(leadData) {
+    const column = this.config.timezoneColumn;
+    const fromColumn = column ? leadData.mcpData?.columns?.[column] : null;
+    
+    if (fromColumn && this.isValidTimezone(fromColumn)) {
+      return fromColumn;
+    }
+    
+    return this.getPhoneTimezone(leadData.phone) || this.config.defaultTimezone;
+  }
+  
+  /**
+   * Derive a timezone from an international phone number
+   * @param {string} phone - Phone in +<country><number> format
+   * @returns {string|null} - IANA timezone
+   */
+  getPhoneTimezone(phone) {
+    if (!phone || !phone.startsWith('+')) return null;
+    
+    const digits = phone.slice(1);
+    
+    if (digits.startsWith('55')) {
+      const ddd = parseInt(digits.slice(2, 4), 10);
+      return BRAZIL_DDD_TIMEZONES[ddd] || COUNTRY_TIMEZONES[55];
+    }
+    
+    for (const length of [3, 2, 1]) {
+      const timezone = COUNTRY_TIMEZONES[digits.slice(0, length)];
+      if (timezone) return timezone;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Find the first allowed instant at or after `from`
+   * @param {Date} from - Start instant
+   * @param {string} timezone - IANA timezone
+   * @param {Set<string>} holidays - Dates without calls
+   * @returns {Date|null}
+   */
+  findNextAllowed(from, timezone, holidays) {
+    const local = this.getLocalParts(from, timezone);
+    const nowMinutes = local.hour * 60 + local.minute;
+    
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+      const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+      const dateKey = day.toISOString().slice(0, 10);
+      
+      if (holidays.has(dateKey)) continue;
+      
+      const windows = this.config.windows[WEEKDAYS[day.getUTCDay()]];
+      
+      for (const window of windows) {
+        if (offset === 0 && nowMinutes >= window.end) continue;
+        
+        if (offset === 0 && nowMinutes >= window.start) {
+          return from;
+        }
+        
+        return this.localToInstant(
+          day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(),
+          window.start, timezone
+        );
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Calendar parts of an instant in a timezone
+   * @param {Date} date - Instant
+   * @param {string} timezone - IANA timezone
+   * @returns {Object} - year, month, day, hour, minute
+   */
+  getLocalParts(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    
+    const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+    
+    return {
+      year: value('year'),
+      month: value('month'),
+      day: value('day'),
+      hour: value('hour'),
+      minute: value('minute')
+    };
+  }
+  
+  /**
+   * Convert a local date and minute-of-day in a timezone to an instant
+   * @returns {Date}
+   */
+  localToInstant(year, month, day, minutes, timezone) {
+    const wallClock = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+    
+    // Offset of the timezone at that moment, re-evaluated once for DST transitions
+    let instant = wallClock - this.getOffsetMs(new Date(wallClock), timezone);
+    instant = wallClock - this.getOffsetMs(new Date(instant), timezone);
+    
+    return new Date(instant);
+  }
+  
+  /**
+   * UTC offset of a timezone at an instant
+   * @returns {number} - Offset in milliseconds
+   */
+  getOffsetMs(date, timezone) {
+    const local = this.getLocalParts(date, timezone);
+    const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute);
+    return asUtc - Math.floor(date.getTime() / 60000) * 60000;
+  }
+  
+  /**
+   * Parse "HH:MM" into minutes of the day
+   * @param {string} time - Time string
+   * @returns {number}
+   */
+  parseTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    if (!match) {
+      throw new Error(`Invalid time in calling hours config: ${time}`);
+    }
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  }
+  
+  /**
+   * Check an IANA timezone name
+   * @param {string} timezone - Timezone
+   * @returns {boolean}
+   */
+  isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return false;
+    
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = new CallScheduler();
@@ -0,0 +1,174 @@
+/**
+ * Call Transcripts
+ * Stores the transcript and analysis of finished calls, keyed by call record
+ */
+
+const JsonStore = require('./jsonStore');
+const logger = require('./logger');
+
+/**
+ * @typedef {Object} TranscriptTurn
+ * @property {'agent'|'user'} role - Who spoke
+ * @property {string} message - What was said
+ * @property {number|null} timeInCallSecs - Offset from the start of the call
+ */
+
+/**
+ * @typedef {Object} CallAnalysis
+ * @property {'success'|'failure'|'unknown'|null} callSuccessful - ElevenLabs success evaluation
+ * @property {string|null} summary - Transcript summary
+ * @property {Object<string, {result: string|null, rationale: string|null}>} evaluationCriteria - Evaluation criteria results
+ * @property {Object<string, {value: *, rationale: string|null}>} dataCollection - Data collection results
+ */
+
+/**
+ * @typedef {Object} CallTranscript
+ * @property {string} callRecordId - Call ledger record ID
+ * @property {string|null} conversationId - ElevenLabs conversation ID
+ * @property {string|null} agentId - ElevenLabs agent ID
+ * @property {string|null} itemId - Monday.com item ID
+ * @property {string|null} status - Conversation status
+ * @property {string|null} startedAt - ISO start time
+ * @property {number|null} durationSecs - Call duration
+ * @property {string|null} terminationReason - Why the call ended
+ * @property {number|null} cost - Call cost reported by ElevenLabs
+ * @property {Array<TranscriptTurn>} turns - Transcript
+ * @property {CallAnalysis} analysis - Post-call analysis
+ * @property {string} receivedAt - ISO time the post-call data arrived
+ */
+
+const ROLE_LABELS = {
+  agent: 'Agent',
+  user: 'Customer'
+};
+
+class CallTranscripts {
+  
+  constructor() {
+    this.store = new JsonStore('transcripts.json', { transcripts: {} });
+  }
+  
+  /**
+   * Build the transcript model from a parsed post-call outcome
+   * @param {Object} outcome - Parsed post-call data (see ElevenLabsService.parsePostCallWebhook)
+   * @param {Object} callRecord - Call ledger record
+   * @returns {CallTranscript}
+   */
+  build(outcome, callRecord) {
+    return {
+      callRecordId: callRecord.id,
+      conversationId: outcome.conversationId,
+      agentId: outcome.agentId,
+      itemId: callRecord.itemId || outcome.itemId,
+      status: outcome.status,
+      startedAt: outcome.startedAt || null,
+      durationSecs: outcome.durationSecs,
+      terminationReason: outcome.terminationReason,
+      cost: outcome.cost ?? null,
+      turns: outcome.transcript.map(turn => ({
+        role: turn.role === 'agent' ? 'agent' : 'user',
+        message: turn.message,
+        timeInCallSecs: turn.timeInCallSecs
+      })),
+      analysis: {
+        callSuccessful: outcome.callSuccessful,
+        summary: outcome.summary,
+        evaluationCriteria: outcome.evaluationCriteria || {},
+        dataCollection: Object.fromEntries(
+          Object.entries(outcome.dataCollection).map(([key, value]) => [key, {
+            value,
+            rationale: outcome.dataCollectionRationale?.[key] || null
+          }])
+        )
+      },
+      receivedAt: new Date().toISOString()
+    };
+  }
+  
+  /**
+   * Store the transcript of a call, replacing any previous one
+   * @param {Object} outcome - Parsed post-call data
+   * @param {Object} callRecord - Call ledger record
+   * @returns {CallTranscript}
+   */
+  save(outcome, callRecord) {
+    const transcript = this.build(outcome, callRecord);
+    
+    this.store.data.transcripts[callRecord.id] = transcript;
+    this.store.save();
+    
+    logger.info('Transcript stored', { callRecordId: callRecord.id, turns: transcript.turns.length });
+    return transcript;
+  }
+  
+  /**
+   * Get the transcript of a call
+   * @param {string} callRecordId - Call record ID
+   * @returns {CallTranscript|null}
+   */
+  get(callRecordId) {
+    return this.store.data.transcripts[callRecordId] || null;
+  }
+  
+  /**
+   * Render a transcript as plain text
+   * @param {CallTranscript} transcript - Transcript
+   * @param {Object} callRecord - Call ledger record
+   * @returns {string}
+   */
+  renderText(transcript, callRecord = {}) {
+    const { analysis } = transcript;
+    const lines = [
+      `Call ${transcript.callRecordId}`,
+      `Lead: ${callRecord.name || '-'} (${callRecord.phone || '-'}), Monday item ${transcript.itemId || '-'}`,
+      `Conversation: ${transcript.conversationId || '-'}`,
+      `Started: ${transcript.startedAt || '-'}`,
+      `Duration: ${this.formatOffset(transcript.durationSecs)}`,
+      `Result: ${analysis.callSuccessful || '-'}${transcript.terminationReason ? ` (${transcript.terminationReason})` : ''}`
+    ];
+    
+    if (analysis.summary) {
+      lines.push('', 'Summary:', analysis.summary);
+    }
+    
+    lines.push('', 'Transcript:');
+    if (transcript.turns.length === 0) {
+      lines.push('(empty)');
+    }
+    transcript.turns.forEach(turn => {
+      lines.push(`[${this.formatOffset(turn.timeInCallSecs)}] ${ROLE_LABELS[turn.role]}: ${turn.message}`);
+    });
+    
+    const criteria = Object.entries(analysis.evaluationCriteria);
+    if (criteria.length > 0) {
+      lines.push('', 'Evaluation:');
+      criteria.forEach(([key, { result, rationale }]) => {
+        lines.push(`- ${key}: ${result || '-'}${rationale ? ` - ${rationale}` : ''}`);
+      });
+    }
+    
+    const collected = Object.entries(analysis.dataCollection);
+    if (collected.length > 0) {
+      lines.push('', 'Data collected:');
+      collected.forEach(([key, { value }]) => {
+        lines.push(`- ${key}: ${value ?? '-'}`);
+      });
+    }
+    
+    return lines.join('\n') + '\n';
+  }
+  
+  /**
+   * Format seconds as m:ss
+   * @param {number|null} secs - Seconds
+   * @returns {string}
+   */
+  formatOffset(secs) {
+    if (secs == null) return '--:--';
+    
+    const total = Math.round(secs);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+  }
+}
+
+module.exports = new CallTranscripts();
@@ -0,0 +1,383 @@
+/**
+ * Campaign Service
+ * Bulk campaigns dialing every eligible item of a Monday.com board or group,
+ * paging with the items_page cursor API and queueing calls at a controlled rate
+ */
+
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+const mondayService = require('./monday');
+const callDispatcher = require('./callDispatcher');
+const callLedger = require('./callLedger');
+const triggerRules = require('./triggerRules');
+const logger = require('./logger');
+
+const PAGE_SIZE = 50;
+const TICK_INTERVAL_MS = 1000;
+
+// Items examined per step while looking for the next eligible one
+const MAX_ITEMS_PER_STEP = 100;
+
+class CampaignService {
+  
+  constructor() {
+    this.store = new JsonStore('campaigns.json', { campaigns: {} });
+    this.defaultRatePerMinute = parseInt(process.env.CAMPAIGN_RATE_PER_MINUTE, 10) || 10;
+    this.running = new Set();
+    this.timer = null;
+    
+    // Items of the current page of each campaign, kept in memory only (they hold the leads' column values)
+    this.buffers = new Map();
+  }
+  
+  /**
+   * Start the campaign runner (campaigns left running by a previous run continue)
+   */
+  start() {
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    this.timer.unref();
+    
+    const active = this.list().filter(campaign => campaign.status === 'running').length;
+    logger.info('Campaign runner started', { running: active });
+  }
+  
+  /**
+   * Stop the campaign runner
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+  
+  /**
+   * Create and start a campaign
+   * @param {Object} options - boardId, groupId, name, ratePerMinute, filters
+   * @returns {Object} - Campaign
+   */
+  create({ boardId, groupId = null, name = null, ratePerMinute, filters = {} }) {
+    if (!boardId) {
+      throw this.invalid('boardId is required');
+    }
+    
+    const rate = parseFloat(ratePerMinute) || this.defaultRatePerMinute;
+    if (rate <= 0) {
+      throw this.invalid('ratePerMinute must be positive');
+    }
+    
+    // Fail fast on invalid filter conditions
+    const conditions = filters?.conditions ?? [];
+    if (!Array.isArray(conditions)) {
+      throw this.invalid('filters.conditions must be a list');
+    }
+    conditions.forEach((condition, index) => {
+      const problem = triggerRules.conditionProblem(condition);
+      if (problem) throw this.invalid(`filters.conditions[${index}]: ${problem}`);
+    });
+    
+    const now = new Date().toISOString();
+    const campaign = {
+      id: crypto.randomUUID(),
+      name: name || `Board ${boardId}${groupId ? ` / ${groupId}` : ''}`,
+      boardId: String(boardId),
+      groupId: groupId ? String(groupId) : null,
+      ratePerMinute: rate,
+      filters: {
+        conditions,
+        missingOutcome: !!filters?.missingOutcome,
+        notCalledInDays: filters?.notCalledInDays ? Number(filters.notCalledInDays) : null
+      },
+      status: 'running',
+      cursor: null,
+      pageStarted: false,
+      pageCursor: null,
+      pageOffset: 0,
+      pageSize: 0,
+      stats: { pages: 0, scanned: 0, enqueued: 0, skipped: {} },
+      calls: [],
+      lastError: null,
+      nextRunAt: now,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null
+    };
+    
+    this.store.data.campaigns[campaign.id] = campaign;
+    this.store.save();
+    
+    logger.info('Campaign created', { campaignId: campaign.id, campaign: campaign.name });
+    return campaign;
+  }
+  
+  /**
+   * Pause a running campaign
+   * @param {string} id - Campaign ID
+   * @returns {Object} - Campaign
+   */
+  pause(id) {
+    return this.transition(id, ['running'], 'paused');
+  }
+  
+  /**
+   * Resume a paused or failed campaign
+   * Failed campaigns restart paging from the first page; already called items are filtered out
+   * @param {string} id - Campaign ID
+   * @returns {Object} - Campaign
+   */
+  resume(id) {
+    const campaign = this.get(id);
+    if (campaign?.status === 'failed') {
+      Object.assign(campaign, { cursor: null, pageStarted: false, pageCursor: null, pageOffset: 0, pageSize: 0, lastError: null });
+      this.buffers.delete(id);
+    }
+    
+    return this.transition(id, ['paused', 'failed'], 'running');
+  }
+  
+  /**
+   * Cancel a campaign (calls already queued are kept)
+   * @param {string} id - Campaign ID
+   * @returns {Object} - Campaign
+   */
+  cancel(id) {
+    const campaign = this.transition(id, ['running', 'paused', 'failed'], 'cancelled');
+    this.buffers.delete(id);
+    campaign.finishedAt = new Date().toISOString();
+    this.store.save();
+    return campaign;
+  }
+  
+  /**
+   * Error for an invalid campaign request
+   * @param {string} message - What is wrong
+   * @returns {Error} - With status 400
+   */
+  invalid(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+  
+  /**
+   * Change a campaign status
+   * @param {string} id - Campaign ID
+   * @param {Array<string>} from - Allowed current statuses
+   * @param {string} to - New status
+   * @returns {Object} - Campaign
+   */
+  transition(id, from, to) {
+    const campaign = this.get(id);
+    
+    if (!campaign) {
+      const error = new Error(`Campaign not found: ${id}`);
+      error.status = 404;
+      throw error;
+    }
+    
+    if (!from.includes(campaign.status)) {
+      const error = new Error(`Cannot change campaign from ${campaign.status} to ${to}`);
+      error.status = 409;
+      throw error;
+    }
+    
+    campaign.status = to;
+    campaign.nextRunAt = new Date().toISOString();
+    campaign.updatedAt = campaign.nextRunAt;
+    this.store.save();
+    
+    logger.info(`Campaign ${to}`, { campaignId: id });
+    return campaign;
+  }
+  
+  /**
+   * Advance every running campaign that is due
+   */
+  tick() {
+    const now = Date.now();
+    
+    this.list()
+      .filter(campaign => campaign.status === 'running' && !this.running.has(campaign.id))
+      .filter(campaign => new Date(campaign.nextRunAt).getTime() <= now)
+      .forEach(campaign => this.run(campaign));
+  }
+  
+  /**
+   * Run one step of a campaign, guarding against overlapping steps
+   * @param {Object} campaign - Campaign
+   */
+  async run(campaign) {
+    this.running.add(campaign.id);
+    
+    try {
+      await logger.run({ campaignId: campaign.id }, () => this.step(campaign));
+    } catch (error) {
+      logger.error('Campaign failed', { campaignId: campaign.id, error });
+      // A pause or cancel that arrived during the step wins
+      if (campaign.status === 'running') campaign.status = 'failed';
+      campaign.lastError = { message: error.message, at: new Date().toISOString() };
+    } finally {
+      campaign.updatedAt = new Date().toISOString();
+      this.store.save();
+      this.running.delete(campaign.id);
+    }
+  }
+  
+  /**
+   * Queue the next eligible item of a campaign
+   * Ineligible items are counted and skipped without waiting
+   * @param {Object} campaign - Campaign
+   */
+  async step(campaign) {
+    for (let examined = 0; examined < MAX_ITEMS_PER_STEP; examined++) {
+      const buffer = this.buffers.get(campaign.id) || [];
+      
+      if (buffer.length === 0) {
+        const hasMore = await this.fetchNextPage(campaign);
+        
+        // Paused or cancelled while the page was loading
+        if (campaign.status !== 'running') return;
+        
+        if (!hasMore) {
+          this.buffers.delete(campaign.id);
+          campaign.status = 'completed';
+          campaign.finishedAt = new Date().toISOString();
+          logger.info('Campaign completed', { stats: campaign.stats });
+          return;
+        }
+        continue;
+      }
+      
+      const item = buffer.shift();
+      campaign.pageOffset++;
+      campaign.stats.scanned++;
+      
+      const leadData = mondayService.buildLeadFromItem(
+        mondayService.parseItem(item, campaign.boardId),
+        campaign.boardId,
+        'campaign'
+      );
+      leadData.campaignId = campaign.id;
+      
+      const skip = this.checkFilters(campaign, leadData) ||
+                   this.checkSkipRules(leadData) ||
+                   callDispatcher.checkEligibility(leadData);
+      if (skip) {
+        campaign.stats.skipped[skip.reason] = (campaign.stats.skipped[skip.reason] || 0) + 1;
+        continue;
+      }
+      
+      const { callRecord, job } = callDispatcher.schedule(leadData);
+      campaign.stats.enqueued++;
+      campaign.calls.push({ itemId: String(leadData.id), callRecordId: callRecord.id, jobId: job.id });
+      
+      // Rate control: wait before queueing the next call
+      campaign.nextRunAt = new Date(Date.now() + 60000 / campaign.ratePerMinute).toISOString();
+      return;
+    }
+  }
+  
+  /**
+   * Load the next page of items into the campaign buffer
+   * A page left unfinished by a previous run is loaded again from its cursor, without the items already examined
+   * @param {Object} campaign - Campaign
+   * @returns {Promise<boolean>} - False when there are no more pages
+   */
+  async fetchNextPage(campaign) {
+    const unfinished = campaign.pageOffset < campaign.pageSize;
+    if (!unfinished && campaign.pageStarted && !campaign.cursor) {
+      return false;
+    }
+    
+    const cursor = unfinished ? campaign.pageCursor : campaign.cursor;
+    const page = await mondayService.getItemsPage({
+      boardId: campaign.boardId,
+      groupId: campaign.groupId,
+      cursor,
+      limit: PAGE_SIZE
+    });
+    const items = page.items || [];
+    
+    if (!unfinished) {
+      Object.assign(campaign, { pageCursor: cursor, pageOffset: 0, pageSize: items.length });
+      campaign.stats.pages++;
+    }
+    campaign.pageStarted = true;
+    campaign.cursor = page.cursor || null;
+    
+    const buffer = items.slice(campaign.pageOffset);
+    this.buffers.set(campaign.id, buffer);
+    
+    logger.info('Campaign page loaded', { page: campaign.stats.pages, items: buffer.length, reloaded: unfinished });
+    return buffer.length > 0 || !!campaign.cursor;
+  }
+  
+  /**
+   * Apply the campaign filters to a lead
+   * @param {Object} campaign - Campaign
+   * @param {Object} leadData - Lead data
+   * @returns {Object|null} - { reason } when the lead is filtered out
+   */
+  checkFilters(campaign, leadData) {
+    const { conditions, missingOutcome, notCalledInDays } = campaign.filters;
+    
+    if (!conditions.every(condition => triggerRules.checkCondition(condition, leadData))) {
+      return { reason: 'filtered_out' };
+    }
+    
+    const outcomeColumn = mondayService.outcomeColumns.outcome;
+    if (missingOutcome && outcomeColumn &&
+        !triggerRules.isEmpty(triggerRules.valueText(leadData.mcpData.columns[outcomeColumn]))) {
+      return { reason: 'has_outcome' };
+    }
+    
+    if (notCalledInDays) {
+      const since = Date.now() - notCalledInDays * 24 * 60 * 60 * 1000;
+      const recentCall = callLedger.list({ itemId: leadData.id, limit: Infinity })
+        .find(call => call.status !== 'blocked' && new Date(call.createdAt).getTime() >= since);
+      
+      if (recentCall) {
+        return { reason: 'called_recently' };
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Apply the board's `skip` trigger rules (a do-not-call checkbox...), as webhooks do
+   * @param {Object} leadData - Lead data
+   * @returns {Object|null} - { reason, rule } when a rule blocks the lead
+   */
+  checkSkipRules(leadData) {
+    const rule = triggerRules.findSkipRule(leadData);
+    return rule ? { reason: 'blocked_by_rule', rule: rule.name || null } : null;
+  }
+  
+  /**
+   * Campaign by ID
+   * @param {string} id - Campaign ID
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.store.data.campaigns[id] || null;
+  }
+  
+  /**
+   * All campaigns, newest first
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Object.values(this.store.data.campaigns)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+  
+  /**
+   * Progress view of a campaign
+   * @param {Object} campaign - Campaign
+   * @returns {Object}
+   */
+  summarize(campaign) {
+    return { ...campaign, bufferedItems: (this.buffers.get(campaign.id) || []).length };
+  }
+}
+
+module.exports = new CampaignService();
@@ -0,0 +1,178 @@
+/**
+ * Data Collection Mapper
+ * Converts ElevenLabs data collection results into Monday.com column values,
+ * following the `dataCollection` mapping of the board in config/boards.json
+ */
+
+const mondayService = require('./monday');
+const boardConfig = require('./boardConfig');
+const variableTemplate = require('./variableTemplate');
+const callScheduler = require('./callScheduler');
+const logger = require('./logger');
+
+class DataCollectionMapper {
+  
+  /**
+   * Column values for the data collected during a call
+   * Values that can't be converted are skipped so the rest of the write-back still happens
+   * @param {Object} outcome - Parsed post-call data (see ElevenLabsService.parsePostCallWebhook)
+   * @param {Object} options - timezone (IANA) the lead gave dates and times in
+   * @returns {Promise<Object>} - { columnValues, skipped: [{ key, reason }] }
+   */
+  async toColumnValues(outcome, options = {}) {
+    const mapping = boardConfig.getDataCollection(outcome.boardId);
+    const columnValues = {};
+    const skipped = [];
+    
+    for (const [key, spec] of Object.entries(mapping)) {
+      const value = outcome.dataCollection?.[key];
+      if (this.isBlank(value)) continue;
+      
+      try {
+        const columnValue = await this.convert(value, spec, options.timezone);
+        
+        if (columnValue == null) {
+          skipped.push({ key, reason: `Can't convert "${value}" to ${spec.type || 'text'}` });
+          continue;
+        }
+        
+        columnValues[spec.column] = columnValue;
+      } catch (error) {
+        skipped.push({ key, reason: error.message });
+      }
+    }
+    
+    if (skipped.length > 0) {
+      logger.warn('Data collection values not written', { skipped });
+    }
+    
+    return { columnValues, skipped };
+  }
+  
+  /**
+   * Convert a collected value to the column value format of the spec type
+   * @param {*} value - Collected value
+   * @param {Object} spec - { column, type, labels }
+   * @param {string} timezone - Timezone of collected times (optional)
+   * @returns {Promise<*>} - Column value, or null when the value doesn't fit the type
+   */
+  async convert(value, spec, timezone) {
+    if (!spec.column) {
+      throw new Error('Data collection mapping without column');
+    }
+    
+    switch (spec.type || 'text') {
+      case 'text':
+        return String(value).trim();
+        
+      case 'long_text':
+        return { text: String(value).trim() };
+        
+      case 'status': {
+        const label = this.mapLabel(value, spec.labels);
+        return label ? { label } : null;
+      }
+        
+      case 'dropdown': {
+        const labels = (Array.isArray(value) ? value : String(value).split(','))
+          .map(item => this.mapLabel(item, spec.labels))
+          .filter(Boolean);
+        return labels.length > 0 ? { labels } : null;
+      }
+        
+      case 'number': {
+        const number = variableTemplate.coerce(value, { type: 'number' });
+        return number == null ? null : String(number);
+      }
+        
+      case 'date':
+        return this.toDate(value, timezone);
+        
+      case 'people': {
+        const user = await mondayService.findUser(value);
+        return user ? { personsAndTeams: [{ id: Number(user.id), kind: 'person' }] } : null;
+      }
+        
+      default:
+        throw new Error(`Unknown data collection column type: ${spec.type}`);
+    }
+  }
+  
+  /**
+   * Map a collected value to a status/dropdown label
+   * Without a `labels` map the value is used as label; with one, unmapped values are dropped
+   * @param {*} value - Collected value
+   * @param {Object} labels - Collected value → label (case-insensitive keys)
+   * @returns {string|null}
+   */
+  mapLabel(value, labels) {
+    const text = String(value).trim();
+    if (!text) return null;
+    if (!labels) return text;
+    
+    const match = Object.entries(labels).find(([key]) => key.toLowerCase() === text.toLowerCase());
+    return match ? match[1] : null;
+  }
+  
+  /**
+   * Date column value from ISO ("2026-10-20", "2026-10-20T14:30", "2026-10-20T14:30:00-03:00") or day-first ("20/10/2026") dates
+   * Monday.com reads the time as UTC: an ISO time with `Z` or an offset keeps its instant, a time without one is taken in the lead's timezone
+   * @param {*} value - Collected value
+   * @param {string} timezone - Timezone of the time (optional, taken as UTC without it)
+   * @returns {Object|null} - { date, time? }
+   */
+  toDate(value, timezone) {
+    const text = String(value).trim();
+    
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?/i);
+    const dayFirst = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}))?/);
+    
+    let parts = null;
+    if (iso) {
+      parts = { year: iso[1], month: iso[2], day: iso[3], hour: iso[4], minute: iso[5], second: iso[6], offset: iso[7] };
+    } else if (dayFirst) {
+      parts = { year: dayFirst[3], month: dayFirst[2], day: dayFirst[1], hour: dayFirst[4], minute: dayFirst[5] };
+    }
+    if (!parts) return null;
+    
+    const pad = number => String(number).padStart(2, '0');
+    const date = `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+    
+    // Reject impossible dates like 2026-02-31
+    const check = new Date(`${date}T00:00:00Z`);
+    if (Number.isNaN(check.getTime()) || check.toISOString().slice(0, 10) !== date) return null;
+    
+    if (parts.hour == null) return { date };
+    
+    if (parts.offset) {
+      const offset = parts.offset.toUpperCase() === 'Z' ? 'Z' : parts.offset.replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2');
+      const instant = new Date(`${date}T${pad(parts.hour)}:${parts.minute}:${parts.second || '00'}${offset}`);
+      if (Number.isNaN(instant.getTime())) return null;
+      
+      const utc = instant.toISOString();
+      return { date: utc.slice(0, 10), time: utc.slice(11, 19) };
+    }
+    
+    if (timezone) {
+      const minutes = parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10);
+      const instant = callScheduler.localToInstant(
+        parseInt(parts.year, 10), parseInt(parts.month, 10), parseInt(parts.day, 10), minutes, timezone
+      );
+      const utc = new Date(instant.getTime() + parseInt(parts.second || '0', 10) * 1000).toISOString();
+      return { date: utc.slice(0, 10), time: utc.slice(11, 19) };
+    }
+    
+    return { date, time: `${pad(parts.hour)}:${parts.minute}:${parts.second || '00'}` };
+  }
+  
+  /**
+   * Whether a collected value is empty
+   * @param {*} value - Collected value
+   * @returns {boolean}
+   */
+  isBlank(value) {
+    return value == null || String(value).trim() === '' || (Array.isArray(value) && value.length === 0);
+  }
+}
+
+module.exports = new DataCollectionMapper();
@@ -0,0 +1,145 @@
+/**
+ * Webhook Deduplication Service
+ * Prevents the same Monday.com delivery or the same lead from triggering repeated calls
+ */
+
+const JsonStore = require('./jsonStore');
+const callLedger = require('./callLedger');
+const logger = require('./logger');
+
+// Attempts that don't count for the cooldown, so the lead can be dialed again
+// (leads tried in dry-run are not skipped once the mode is switched to live)
+const IGNORED_STATUSES = ['failed', 'blocked', 'dry_run'];
+
+// Attempts that may still dial (or have dialed without a known outcome): they block the item whatever their age
+const IN_FLIGHT_STATUSES = ['pending', 'queued', 'retrying', 'dialing', 'initiated', 'unknown'];
+
+// Attempt after which the redial policy gave up on the lead: the item is not called again
+const EXHAUSTED_STATUS = 'exhausted';
+
+class DeduplicationService {
+  
+  constructor() {
+    this.store = new JsonStore('webhook-events.json', { events: {} });
+    this.eventTtlSeconds = parseInt(process.env.WEBHOOK_EVENT_TTL_SECONDS, 10) || 24 * 60 * 60;
+    this.itemCooldownSeconds = parseInt(process.env.CALL_COOLDOWN_SECONDS, 10) || 60 * 60;
+  }
+  
+  /**
+   * Extract the delivery identifier from a Monday.com webhook
+   * Retries of the same delivery carry the same trigger UUID
+   * @param {Object} webhookData - Webhook body
+   * @returns {string|null} - Event ID
+   */
+  getEventId(webhookData) {
+    const event = webhookData?.event || {};
+    return event.triggerUuid || event.originalTriggerUuid || webhookData?.triggerUuid || null;
+  }
+  
+  /**
+   * Claim an event for processing
+   * @param {string} eventId - Event ID
+   * @returns {boolean} - False if the event was already received
+   */
+  claimEvent(eventId) {
+    if (!eventId) return true;
+    
+    this.prune();
+    
+    if (this.store.data.events[eventId]) {
+      logger.info('Duplicate Monday.com event ignored', { eventId });
+      return false;
+    }
+    
+    this.store.data.events[eventId] = new Date().toISOString();
+    this.store.save();
+    return true;
+  }
+  
+  /**
+   * Release a claimed event so a retry of the same delivery can be processed
+   * @param {string} eventId - Event ID
+   */
+  releaseEvent(eventId) {
+    if (!eventId || !this.store.data.events[eventId]) return;
+    
+    delete this.store.data.events[eventId];
+    this.store.save();
+  }
+  
+  /**
+   * Check whether an item was called within the cooldown window
+   * An attempt still queued or in progress blocks the item until it ends (a deferred call may wait
+   * longer than the cooldown); finished attempts count from the moment they were dialed.
+   * Items whose attempts were exhausted are never allowed (`exhausted: true`)
+   * @param {string|number} itemId - Monday item ID
+   * @returns {Object} - { allowed, exhausted, lastCallAt, lastCallId, lastCallStatus, retryAfterSeconds }
+   */
+  checkItemCooldown(itemId) {
+    const calls = callLedger.list({ itemId, limit: Infinity })
+      .filter(call => !IGNORED_STATUSES.includes(call.status));
+    
+    const blocking = calls.find(call => call.status === EXHAUSTED_STATUS) ||
+                     calls.find(call => IN_FLIGHT_STATUSES.includes(call.status));
+    if (blocking) {
+      return {
+        allowed: false,
+        exhausted: blocking.status === EXHAUSTED_STATUS,
+        lastCallAt: this.dialedAt(blocking) || blocking.createdAt,
+        lastCallId: blocking.id,
+        lastCallStatus: blocking.status,
+        retryAfterSeconds: null
+      };
+    }
+    
+    const lastCall = calls[0];
+    if (!lastCall) {
+      return { allowed: true, lastCallAt: null, retryAfterSeconds: 0 };
+    }
+    
+    const lastCallAt = this.dialedAt(lastCall) || lastCall.createdAt;
+    const elapsedSeconds = (Date.now() - new Date(lastCallAt).getTime()) / 1000;
+    const retryAfterSeconds = Math.max(0, Math.ceil(this.itemCooldownSeconds - elapsedSeconds));
+    
+    return {
+      allowed: retryAfterSeconds === 0,
+      exhausted: false,
+      lastCallAt,
+      lastCallId: lastCall.id,
+      lastCallStatus: lastCall.status,
+      retryAfterSeconds
+    };
+  }
+  
+  /**
+   * When an attempt was dialed (latest dialing or initiated status)
+   * @param {Object} call - Call record
+   * @returns {string|null} - ISO timestamp, or null if it never was
+   */
+  dialedAt(call) {
+    const entry = [...(call.statusHistory || [])].reverse()
+      .find(history => ['dialing', 'initiated'].includes(history.status));
+    return entry ? entry.at : null;
+  }
+  
+  /**
+   * Drop events older than the retention window
+   */
+  prune() {
+    const cutoff = Date.now() - this.eventTtlSeconds * 1000;
+    let removed = 0;
+    
+    Object.entries(this.store.data.events).forEach(([eventId, receivedAt]) => {
+      if (new Date(receivedAt).getTime() < cutoff) {
+        delete this.store.data.events[eventId];
+        removed++;
+      }
+    });
+    
+    if (removed > 0) {
+      this.store.save();
+    }
+  }
+}
+
+module.exports = new DeduplicationService();
@@ -3,63 +3,95 @@
  * Handles AI call integration with dynamic variable passing
  */
 
-const axios = require('axios');
+const ElevenLabsClient = require('./elevenlabsClient');
+const variableTemplate = require('./variableTemplate');
+const agentRouter = require('./agentRouter');
+const phoneNumber = require('./phoneNumber');
+const callMode = require('./callMode');
+const logger = require('./logger');
+
+// Post-call webhook events carrying a call outcome (others, like post_call_audio, are ignored)
+const OUTCOME_EVENT_TYPES = ['post_call_transcription', 'call_initiation_failure'];
 
 class ElevenLabsService {
   
   constructor() {
     this.apiKey = process.env.ELEVENLABS_API_KEY;
     this.agentId = process.env.ELEVENLABS_AGENT_ID;
-    this.baseURL = 'https://api.elevenlabs.io/v1';
+    this.client = new ElevenLabsClient({
+      apiKey: this.apiKey,
+      baseURL: process.env.ELEVENLABS_API_URL,
+      timeoutMs: parseInt(process.env.ELEVENLABS_TIMEOUT_MS, 10) || undefined,
+      maxRetries: process.env.ELEVENLABS_MAX_RETRIES != null ? parseInt(process.env.ELEVENLABS_MAX_RETRIES, 10) : undefined
+    });
     
     if (!this.apiKey) {
-      console.warn('⚠️ ELEVENLABS_API_KEY not configured in .env');
+      logger.warn('ELEVENLABS_API_KEY not configured in .env');
     }
     
     if (!this.agentId) {
-      console.warn('⚠️ ELEVENLABS_AGENT_ID not configured in .env');
+      logger.warn('ELEVENLABS_AGENT_ID not configured in .env');
     }
   }
   
   /**
-   * Initiate a call via ElevenLabs
+   * Initiate a call via ElevenLabs, according to the call mode (live, dry-run or sandbox)
    * @param {Object} leadData - Lead data
    * @returns {Promise<Object>} - Call result
    */
   async initiateCall(leadData) {
     try {
-      console.log('📞 Initiating ElevenLabs call to:', leadData.phone);
+      logger.info('Initiating ElevenLabs call', { phone: leadData.phone, mode: callMode.mode });
+      
+      // Never dial a number that fails validation
+      const phoneCheck = phoneNumber.normalize(leadData.phone);
+      if (!phoneCheck.valid) {
+        const error = new Error(`Invalid phone number ${leadData.phone}: ${phoneCheck.reason}`);
+        error.transient = false;
+        throw error;
+      }
+      leadData = { ...leadData, phone: phoneCheck.e164 };
+      
+      // Choose agent and caller number for this lead
+      const route = agentRouter.route(leadData);
+      logger.info('Routing call via agent profile', { agent: route.agent, route: route.route });
       
-      // Check if credentials are configured
-      if (!this.apiKey || !this.agentId) {
-        throw new Error('ElevenLabs credentials not configured');
+      // Sandbox mode only dials test numbers
+      const dial = callMode.resolvePhone(leadData.phone);
+      if (dial.redirected) {
+        logger.info('Sandbox: redirecting call to a test number', { phone: leadData.phone, dialedPhone: dial.phone });
       }
       
       // Prepare call data
-      const callData = this.prepareCallData(leadData);
+      const callData = this.prepareCallData({ ...leadData, phone: dial.phone }, route);
+      
+      if (callMode.isDryRun) {
+        return this.dryRunCall(leadData, callData, route);
+      }
       
       // Make API request to ElevenLabs
-      const response = await this.makeAPICall(callData);
+      const data = await this.makeAPICall(callData);
       
-      console.log('✅ Call initiated successfully:', response.data);
+      logger.bind({ conversationId: data.conversation_id });
+      logger.info('Call initiated successfully', { callId: data.call_id || data.callSid || data.id, status: data.status });
       
       return {
         success: true,
-        call_id: response.data.call_id || response.data.id,
-        status: response.data.status || 'initiated',
+        call_id: data.call_id || data.callSid || data.id,
+        conversation_id: data.conversation_id || null,
+        status: data.status || 'initiated',
+        mode: callMode.mode,
         leadId: leadData.id,
-        phone: leadData.phone,
+        phone: dial.phone,
+        sandbox: callMode.isSandbox ? { originalPhone: leadData.phone, redirected: dial.redirected } : undefined,
+        agent_id: callData.agent_id,
+        route: route.route,
+        dynamic_variables: callData.dynamic_variables,
         timestamp: new Date().toISOString()
       };
       
     } catch (error) {
-      console.error('❌ Error initiating ElevenLabs call:', error.message);
-      
-      // If configuration error, simulate call for development
-      if (error.message.includes('not configured')) {
-        return this.simulateCall(leadData);
-      }
-      
+      logger.error('Error initiating ElevenLabs call', { error });
       throw error;
     }
   }
@@ -67,32 +99,134 @@ class ElevenLabsService {
   /**
    * Prepare data for API call
    * @param {Object} leadData - Lead data
+   * @param {Object} route - Agent profile from AgentRouter.route
    * @returns {Object} - Formatted data for API
    */
-  prepareCallData(leadData) {
-    // Extract name and company from lead data
-    const customerName = leadData.name || 'Customer';
-    const companyName = leadData.mcpData?.columns?.lead_company || 
-                       leadData.company || 
-                       'your restaurant';
-    
-    console.log('🏷️ Variables for ElevenLabs:', {
-      customer_name: customerName,
-      company_name: companyName
-    });
+  prepareCallData(leadData, route = agentRouter.route(leadData)) {
+    if (!route.phoneNumberId) {
+      const error = new Error(`Caller phone number ID missing for agent profile "${route.agent}"`);
+      error.transient = false;
+      throw error;
+    }
     
     // Correct format for /convai/twilio/outbound-call endpoint with variables
-    return {
-      agent_id: this.agentId,
-      agent_phone_number_id: process.env.ELEVENLABS_PHONE_NUMBER_ID || 'default_phone_id',
+    const callData = {
+      agent_id: route.agentId,
+      agent_phone_number_id: route.phoneNumberId,
       to_number: leadData.phone,
       
       // 🆕 CORRECT FORMAT FOR ELEVENLABS DYNAMIC VARIABLES
-      dynamic_variables: {
-        customer_name: customerName,
-        company_name: companyName
-      }
+      dynamic_variables: this.buildDynamicVariables(leadData)
     };
+    
+    if (route.language) {
+      callData.conversation_initiation_client_data = {
+        conversation_config_override: {
+          agent: { language: route.language }
+        }
+      };
+    }
+    
+    return callData;
+  }
+  
+  /**
+   * Build the dynamic variables of a call
+   * @param {Object} leadData - Lead data
+   * @returns {Object} - Dynamic variables
+   */
+  buildDynamicVariables(leadData) {
+    // Build variables from the board template (see config/boards.json)
+    const { variables, missing } = variableTemplate.build(leadData);
+    
+    if (missing.length > 0) {
+      const error = new Error(`Required dynamic variables missing: ${missing.join(', ')}`);
+      error.transient = false;
+      throw error;
+    }
+    
+    logger.debug('Variables for ElevenLabs', { variables });
+    
+    return {
+      ...variables,
+      
+      // Sent back in the post-call webhook so the outcome can be written to the item
+      // and logged under the correlation ID of the request that queued the call
+      monday_item_id: String(leadData.id),
+      monday_board_id: leadData.boardId ? String(leadData.boardId) : '',
+      correlation_id: logger.context().correlationId || ''
+    };
+  }
+  
+  /**
+   * Normalize a post-call webhook payload
+   * Supports the current `{ type, data: {...} }` envelope as well as the older flat format
+   * @param {Object} payload - Webhook body
+   * @returns {Object} - Normalized call outcome
+   */
+  parsePostCallWebhook(payload) {
+    const data = payload?.data && typeof payload.data === 'object' ? payload.data : payload || {};
+    const dynamicVariables = data.conversation_initiation_client_data?.dynamic_variables ||
+                             data.dynamic_variables ||
+                             {};
+    const analysis = data.analysis || {};
+    const metadata = data.metadata || {};
+    
+    const transcript = Array.isArray(data.transcript)
+      ? data.transcript
+          .filter(turn => turn && turn.message)
+          .map(turn => ({
+            role: turn.role,
+            message: turn.message,
+            timeInCallSecs: turn.time_in_call_secs ?? null
+          }))
+      : [];
+    
+    const eventType = payload?.type || data.event_type || null;
+    const startTime = metadata.start_time_unix_secs;
+    
+    return {
+      eventType,
+      conversationId: data.conversation_id || null,
+      callId: data.call_id || metadata.phone_call?.call_sid || null,
+      agentId: data.agent_id || null,
+      status: eventType === 'call_initiation_failure' ? 'failed' : data.status || null,
+      failureReason: data.failure_reason || null,
+      terminationReason: metadata.termination_reason || null,
+      startedAt: startTime ? new Date(startTime * 1000).toISOString() : null,
+      durationSecs: metadata.call_duration_secs ?? data.call_duration_secs ?? null,
+      cost: metadata.cost ?? null,
+      callSuccessful: analysis.call_successful || null,
+      summary: analysis.transcript_summary || null,
+      dataCollection: Object.fromEntries(
+        Object.entries(analysis.data_collection_results || {})
+          .map(([key, result]) => [key, result?.value ?? null])
+      ),
+      dataCollectionRationale: Object.fromEntries(
+        Object.entries(analysis.data_collection_results || {})
+          .map(([key, result]) => [key, result?.rationale || null])
+      ),
+      evaluationCriteria: Object.fromEntries(
+        Object.entries(analysis.evaluation_criteria_results || {})
+          .map(([key, result]) => [key, { result: result?.result || null, rationale: result?.rationale || null }])
+      ),
+      phone: metadata.phone_call?.external_number || null,
+      transcript,
+      dynamicVariables,
+      itemId: dynamicVariables.monday_item_id || null,
+      boardId: dynamicVariables.monday_board_id || null,
+      correlationId: dynamicVariables.correlation_id || null
+    };
+  }
+  
+  /**
+   * Whether a post-call webhook event carries the call outcome
+   * Payloads in the older flat format have no event type and always do
+   * @param {string|null} eventType - Event type of the payload
+   * @returns {boolean}
+   */
+  isOutcomeEvent(eventType) {
+    return !eventType || OUTCOME_EVENT_TYPES.includes(eventType);
   }
   
   /**
@@ -132,64 +266,51 @@ GOAL: Schedule a demonstration or follow-up meeting
   /**
    * Make API call to ElevenLabs
    * @param {Object} callData - Call data
-   * @returns {Promise<Object>} - API response
+   * @returns {Promise<Object>} - Response body
+   * @throws {ElevenLabsError} - Typed error (auth, validation, quota, upstream)
    */
   async makeAPICall(callData) {
     try {
-      console.log('🔄 Making API call to ElevenLabs...');
-      console.log('📋 Call data:', JSON.stringify(callData, null, 2));
-      
-      const config = {
-        method: 'POST',
-        url: `${this.baseURL}/convai/twilio/outbound-call`,
-        headers: {
-          'xi-api-key': this.apiKey,
-          'Content-Type': 'application/json'
-        },
-        data: callData
-      };
+      logger.debug('Sending call request to ElevenLabs', { callData });
       
-      const response = await axios(config);
+      const data = await this.client.post('/convai/twilio/outbound-call', callData);
       
-      console.log('📞 ElevenLabs API Response:', {
-        status: response.status,
-        data: response.data
-      });
-      
-      return response;
+      logger.debug('ElevenLabs API response', { response: data });
+      return data;
       
     } catch (error) {
-      console.error('❌ ElevenLabs API Error:', {
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data,
-        message: error.message
-      });
-      
-      throw new Error(`ElevenLabs API Error: ${error.response?.status} - ${error.response?.data?.detail || error.message}`);
+      logger.error('ElevenLabs API error', { error, detail: error.detail });
+      throw error;
     }
   }
   
   /**
-   * Simulate call for development mode
+   * Record the request a call would send, without dialing (dry-run mode)
    * @param {Object} leadData - Lead data
-   * @returns {Object} - Simulated call result
+   * @param {Object} callData - Request body from prepareCallData
+   * @param {Object} route - Agent profile from AgentRouter.route
+   * @returns {Object} - Call result
    */
-  simulateCall(leadData) {
-    console.log('🎭 SIMULATION MODE: ElevenLabs call simulated');
-    console.log('📞 Would call:', leadData.phone);
-    console.log('👤 Customer:', leadData.name);
-    console.log('🏢 Company:', leadData.company || 'Unknown');
+  dryRunCall(leadData, callData, route) {
+    logger.info('Dry-run: call not placed, request recorded', { callData });
     
     return {
       success: true,
-      call_id: `sim_${Date.now()}`,
-      status: 'simulated',
+      call_id: null,
+      conversation_id: null,
+      status: 'dry_run',
+      mode: callMode.mode,
       leadId: leadData.id,
       phone: leadData.phone,
-      timestamp: new Date().toISOString(),
-      simulation: true,
-      message: 'Call simulated - ElevenLabs credentials not configured'
+      agent_id: callData.agent_id,
+      route: route.route,
+      dynamic_variables: callData.dynamic_variables,
+      request: {
+        method: 'POST',
+        url: `${this.client.baseURL}/convai/twilio/outbound-call`,
+        body: callData
+      },
+      timestamp: new Date().toISOString()
     };
   }
   
@@ -199,82 +320,46 @@ GOAL: Schedule a demonstration or follow-up meeting
    * @returns {boolean} - Is valid
    */
   validatePhone(phone) {
-    if (!phone) return false;
-    
-    // Remove all non-numeric characters except +
-    const cleanPhone = phone.replace(/[^\d+]/g, '');
-    
-    // Check if it's a valid international format
-    return cleanPhone.length >= 10 && cleanPhone.startsWith('+');
+    return phoneNumber.normalize(phone).valid;
   }
   
   /**
    * Format phone number for ElevenLabs
    * @param {string} phone - Phone number
-   * @returns {string} - Formatted phone
+   * @returns {string|null} - Phone in E.164 format, or null if invalid
    */
   formatPhone(phone) {
-    if (!phone) return null;
-    
-    // Remove all non-numeric characters except +
-    let cleanPhone = phone.replace(/[^\d+]/g, '');
-    
-    // Add +55 if it's a Brazilian number without country code
-    if (cleanPhone.length === 11 && !cleanPhone.startsWith('+')) {
-      cleanPhone = '+55' + cleanPhone;
-    } else if (cleanPhone.length === 10 && !cleanPhone.startsWith('+')) {
-      cleanPhone = '+55' + cleanPhone;
-    }
-    
-    return cleanPhone;
+    return phoneNumber.toE164(phone);
   }
   
   /**
-   * Get call status from ElevenLabs
-   * @param {string} callId - Call ID
-   * @returns {Promise<Object>} - Call status
+   * Get a conversation from ElevenLabs (status, transcript, metadata and analysis)
+   * The response has the same shape as the `data` of the post-call webhook
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} - Conversation details
+   * @throws {ElevenLabsError} - Typed error (auth, validation, quota, upstream)
    */
-  async getCallStatus(callId) {
+  async getCallStatus(conversationId) {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/convai/calls/${callId}`,
-        {
-          headers: {
-            'xi-api-key': this.apiKey,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      
-      return response.data;
-      
+      return await this.client.get(`/convai/conversations/${encodeURIComponent(conversationId)}`);
     } catch (error) {
-      console.error('❌ Error getting call status:', error.message);
+      logger.error('Error getting call status', { conversationId, error });
       throw error;
     }
   }
   
   /**
-   * List recent calls from ElevenLabs
-   * @param {number} limit - Number of calls to retrieve
-   * @returns {Promise<Array>} - List of calls
+   * List recent conversations from ElevenLabs
+   * @param {number} limit - Number of conversations to retrieve
+   * @returns {Promise<Array>} - Conversations (conversation_id, agent_id, status, start_time_unix_secs...)
+   * @throws {ElevenLabsError} - Typed error (auth, validation, quota, upstream)
    */
   async listRecentCalls(limit = 10) {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/convai/calls?limit=${limit}`,
-        {
-          headers: {
-            'xi-api-key': this.apiKey,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      
-      return response.data;
-      
+      const data = await this.client.get('/convai/conversations', { page_size: limit });
+      return data?.conversations || [];
     } catch (error) {
-      console.error('❌ Error listing calls:', error.message);
+      logger.error('Error listing calls', { error });
       throw error;
     }
   }
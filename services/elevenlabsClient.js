@@ -0,0 +1,173 @@
+/**
+ * ElevenLabs HTTP Client
+ * Shared client for the ElevenLabs API: configurable base URL, request timeouts,
+ * retries for idempotent requests and rate limits, and typed errors
+ */
+
+const axios = require('axios');
+const {
+  ElevenLabsError,
+  ElevenLabsAuthError,
+  ElevenLabsValidationError,
+  ElevenLabsQuotaError,
+  ElevenLabsUpstreamError
+} = require('./elevenlabsErrors');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const DEFAULT_BASE_URL = 'https://api.elevenlabs.io/v1';
+
+class ElevenLabsClient {
+  
+  /**
+   * @param {Object} options - apiKey, baseURL, timeoutMs, maxRetries, retryBaseMs, maxRetryDelayMs
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey;
+    this.baseURL = (options.baseURL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.timeoutMs = options.timeoutMs || 15000;
+    this.maxRetries = options.maxRetries ?? 2;
+    this.retryBaseMs = options.retryBaseMs || 500;
+    this.maxRetryDelayMs = options.maxRetryDelayMs || 30000;
+  }
+  
+  /**
+   * GET request, retried on rate limits and upstream failures
+   * @param {string} path - Path below the base URL
+   * @param {Object} params - Query string parameters
+   * @returns {Promise<Object>} - Response body
+   */
+  async get(path, params) {
+    return this.request({ method: 'GET', path, params }, error => error.transient);
+  }
+  
+  /**
+   * POST request, retried only on rate limits: the request was refused, so repeating it
+   * can't create a second call. Upstream failures are left to the caller (see ElevenLabsUpstreamError).
+   * @param {string} path - Path below the base URL
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} - Response body
+   */
+  async post(path, data) {
+    return this.request({ method: 'POST', path, data }, error => error.status === 429 && error.transient);
+  }
+  
+  /**
+   * Send a request, retrying while `shouldRetry` allows it
+   * @param {Object} options - method, path, params, data
+   * @param {Function} shouldRetry - (error) => boolean
+   * @returns {Promise<Object>} - Response body
+   */
+  async request({ method, path, params, data }, shouldRetry = () => false) {
+    if (!this.apiKey) {
+      throw new ElevenLabsAuthError('ELEVENLABS_API_KEY not set');
+    }
+    
+    // IDs are left out of the metric label to keep its cardinality low
+    const operation = `${method} ${path.replace(/\/(conversations|agents)\/[^/?]+/, '/$1/:id')}`;
+    
+    for (let attempt = 0; ; attempt++) {
+      const endTimer = metrics.startApiTimer('elevenlabs', operation);
+      
+      try {
+        const response = await axios({
+          method,
+          url: `${this.baseURL}${path}`,
+          params,
+          data,
+          timeout: this.timeoutMs,
+          headers: {
+            'xi-api-key': this.apiKey,
+            'Content-Type': 'application/json'
+          }
+        });
+        
+        endTimer('success');
+        return response.data;
+        
+      } catch (axiosError) {
+        const error = this.classifyError(axiosError, method, path);
+        endTimer(error.name);
+        const delayMs = error.retryAfterMs ?? Math.min(this.retryBaseMs * 2 ** attempt, this.maxRetryDelayMs);
+        
+        if (attempt >= this.maxRetries || delayMs > this.maxRetryDelayMs || !shouldRetry(error)) {
+          throw error;
+        }
+        
+        logger.warn('ElevenLabs request failed, retrying', { method, path, retryInMs: delayMs, error });
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+  
+  /**
+   * Turn an axios error into a typed ElevenLabs error
+   * @param {Error} error - Axios error
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @returns {ElevenLabsError}
+   */
+  classifyError(error, method, path) {
+    if (error instanceof ElevenLabsError) return error;
+    
+    const response = error.response;
+    
+    if (!response) {
+      const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+      return new ElevenLabsUpstreamError(
+        `ElevenLabs ${method} ${path} ${timedOut ? `timed out after ${this.timeoutMs}ms` : `failed: ${error.message}`}`,
+        { code: timedOut ? 'timeout' : error.code || null, method }
+      );
+    }
+    
+    const { status, data, headers } = response;
+    const detail = data?.detail ?? data ?? null;
+    const code = typeof detail?.status === 'string' ? detail.status : null;
+    const details = {
+      status,
+      code,
+      detail,
+      retryAfterMs: this.parseRetryAfter(headers?.['retry-after']),
+      method
+    };
+    const message = `ElevenLabs API Error: ${status} - ${this.describe(detail) || response.statusText || 'request failed'}`;
+    
+    if (code === 'quota_exceeded' || status === 429) return new ElevenLabsQuotaError(message, details);
+    if (status === 401 || status === 403) return new ElevenLabsAuthError(message, details);
+    if (status >= 500) return new ElevenLabsUpstreamError(message, details);
+    return new ElevenLabsValidationError(message, details);
+  }
+  
+  /**
+   * Readable text of an ElevenLabs error detail
+   * Handles `"text"`, `{ status, message }` and validation lists `[{ loc, msg }]`
+   * @param {*} detail - Response detail
+   * @returns {string|null}
+   */
+  describe(detail) {
+    if (!detail) return null;
+    if (typeof detail === 'string') return detail;
+    if (Array.isArray(detail)) {
+      return detail.map(item => [item.loc?.join('.'), item.msg].filter(Boolean).join(': ')).join('; ');
+    }
+    if (typeof detail !== 'object' || Object.keys(detail).length === 0) return null;
+    return detail.message || detail.status || JSON.stringify(detail);
+  }
+  
+  /**
+   * Delay from a Retry-After header (seconds or HTTP date)
+   * @param {string} value - Header value
+   * @returns {number|null} - Milliseconds
+   */
+  parseRetryAfter(value) {
+    if (value == null) return null;
+    
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    
+    const date = new Date(value).getTime();
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+  }
+}
+
+module.exports = ElevenLabsClient;
@@ -0,0 +1,83 @@
+/**
+ * ElevenLabs Errors
+ * Typed errors raised by the ElevenLabs client, so callers can react to each kind of failure
+ */
+
+// Network errors raised before the request reached ElevenLabs (connection refused, host not resolved)
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+class ElevenLabsError extends Error {
+  
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - status (HTTP), code (ElevenLabs or network code), detail (response body), retryAfterMs, method
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = details.status ?? null;
+    this.code = details.code ?? null;
+    this.detail = details.detail ?? null;
+    this.retryAfterMs = details.retryAfterMs ?? null;
+    this.method = details.method ?? null;
+  }
+  
+  /**
+   * Whether repeating the request later may succeed (read by the call queue)
+   * @returns {boolean}
+   */
+  get transient() {
+    return false;
+  }
+  
+  /**
+   * Whether ElevenLabs may have processed the request anyway (e.g. placed the call)
+   * @returns {boolean}
+   */
+  get uncertain() {
+    return false;
+  }
+}
+
+/**
+ * Invalid or missing API key, or a key without permission for the resource (401/403)
+ */
+class ElevenLabsAuthError extends ElevenLabsError {}
+
+/**
+ * Request rejected by ElevenLabs: bad payload, unknown agent or phone number, missing resource (400/404/422)
+ */
+class ElevenLabsValidationError extends ElevenLabsError {}
+
+/**
+ * Rate or concurrency limit (429), or exhausted credits (`quota_exceeded`)
+ * Limits clear by themselves; exhausted credits don't
+ */
+class ElevenLabsQuotaError extends ElevenLabsError {
+  get transient() {
+    return this.code !== 'quota_exceeded';
+  }
+}
+
+/**
+ * ElevenLabs unavailable: 5xx, timeout or network failure
+ * A POST is only repeated when it provably never reached ElevenLabs: after a 5xx, a timeout or a
+ * dropped connection the call may have been placed
+ */
+class ElevenLabsUpstreamError extends ElevenLabsError {
+  get transient() {
+    return !this.uncertain;
+  }
+  
+  get uncertain() {
+    return this.method === 'POST' && !NOT_SENT_CODES.includes(this.code);
+  }
+}
+
+module.exports = {
+  ElevenLabsError,
+  ElevenLabsAuthError,
+  ElevenLabsValidationError,
+  ElevenLabsQuotaError,
+  ElevenLabsUpstreamError
+};
@@ -0,0 +1,132 @@
+/**
+ * Health Check
+ * Readiness of the bridge: configuration of the call mode and reachability of Monday.com and ElevenLabs
+ */
+
+const mondayService = require('./monday');
+const elevenlabsService = require('./elevenlabs');
+const agentRouter = require('./agentRouter');
+const callMode = require('./callMode');
+const triggerRules = require('./triggerRules');
+
+class HealthCheck {
+  
+  constructor() {
+    this.timeoutMs = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 5000;
+    
+    // The route is public: results are reused for a few seconds so probes can't flood the upstream APIs
+    const cacheSeconds = parseInt(process.env.HEALTH_CHECK_CACHE_SECONDS, 10);
+    this.cacheMs = (Number.isNaN(cacheSeconds) ? 10 : Math.max(cacheSeconds, 0)) * 1000;
+    this.cached = null;
+  }
+  
+  /**
+   * Readiness, reusing a result up to HEALTH_CHECK_CACHE_SECONDS old
+   * Concurrent requests share the checks in progress
+   * @returns {Promise<Object>} - { ready, checks: { config, monday, elevenlabs } }
+   */
+  readiness() {
+    if (!this.cached || Date.now() - this.cached.at >= this.cacheMs) {
+      const result = this.runChecks();
+      this.cached = { at: Date.now(), result };
+      
+      // A check that throws must not stay cached
+      result.catch(() => {
+        if (this.cached?.result === result) this.cached = null;
+      });
+    }
+    
+    return this.cached.result;
+  }
+  
+  /**
+   * Run every readiness check
+   * Each check passes, fails or is skipped (not needed in the current configuration)
+   * @returns {Promise<Object>} - { ready, checks: { config, monday, elevenlabs } }
+   */
+  async runChecks() {
+    const [monday, elevenlabs] = await Promise.all([this.checkMonday(), this.checkElevenLabs()]);
+    const checks = { config: this.checkConfig(), monday, elevenlabs };
+    
+    return {
+      ready: Object.values(checks).every(check => check.status !== 'fail'),
+      checks
+    };
+  }
+  
+  /**
+   * Configuration required to take calls
+   * @returns {Object} - { status, problems }
+   */
+  checkConfig() {
+    // Dry-run accepts incomplete agent profiles (validate only warns about them)
+    const problems = [...callMode.validate(), ...triggerRules.validate()];
+    
+    if (!mondayService.mondayApiKey) {
+      problems.push('MONDAY_API_KEY not configured');
+    }
+    
+    return problems.length > 0 ? { status: 'fail', problems } : { status: 'pass' };
+  }
+  
+  /**
+   * Monday.com API reachable with the configured key
+   * @returns {Promise<Object>} - { status, latencyMs, error }
+   */
+  async checkMonday() {
+    if (!mondayService.mondayApiKey) {
+      return { status: 'skip', reason: 'MONDAY_API_KEY not configured' };
+    }
+    
+    // Single request, without the client's retries
+    return this.probe(() => mondayService.client.send('query { me { id } }', {}));
+  }
+  
+  /**
+   * ElevenLabs API reachable and the default agent accessible
+   * @returns {Promise<Object>} - { status, latencyMs, error }
+   */
+  async checkElevenLabs() {
+    if (callMode.isDryRun) {
+      return { status: 'skip', reason: 'No calls are placed in dry-run mode' };
+    }
+    
+    const profile = agentRouter.agents.default;
+    if (!elevenlabsService.apiKey || !profile?.agentId) {
+      return { status: 'skip', reason: 'ElevenLabs API key or agent not configured' };
+    }
+    
+    return this.probe(() => elevenlabsService.client.request({
+      method: 'GET',
+      path: `/convai/agents/${encodeURIComponent(profile.agentId)}`
+    }));
+  }
+  
+  /**
+   * Run a request with a time limit
+   * @param {Function} request - Returns a promise
+   * @returns {Promise<Object>} - { status, latencyMs, error }
+   */
+  async probe(request) {
+    const started = Date.now();
+    let timer;
+    
+    try {
+      await Promise.race([
+        request(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`No response after ${this.timeoutMs}ms`)), this.timeoutMs);
+        })
+      ]);
+      return { status: 'pass', latencyMs: Date.now() - started };
+    
+    } catch (error) {
+      return { status: 'fail', latencyMs: Date.now() - started, error: error.message };
+    
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = new HealthCheck();
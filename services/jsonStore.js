@@ -0,0 +1,57 @@
+/**
+ * JSON File Store
+ * Small persistent key/value store backed by a JSON file on disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+class JsonStore {
+  
+  /**
+   * @param {string} fileName - File name inside DATA_DIR (or absolute path)
+   * @param {Object} defaults - Initial content when the file does not exist
+   */
+  constructor(fileName, defaults = {}) {
+    const dataDir = process.env.DATA_DIR || DEFAULT_DATA_DIR;
+    this.filePath = path.isAbsolute(fileName) ? fileName : path.join(dataDir, fileName);
+    this.defaults = defaults;
+    this.data = this.load();
+  }
+  
+  /**
+   * Load store content from disk
+   * @returns {Object} - Stored data
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return JSON.parse(JSON.stringify(this.defaults));
+      }
+      
+      const content = fs.readFileSync(this.filePath, 'utf8');
+      return { ...JSON.parse(JSON.stringify(this.defaults)), ...JSON.parse(content) };
+      
+    } catch (error) {
+      logger.error('Error loading store', { file: this.filePath, error });
+      throw error;
+    }
+  }
+  
+  /**
+   * Persist store content to disk
+   * Writes to a temporary file first so a crash never leaves a truncated file
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,310 @@
+/**
+ * Structured Logger
+ * JSON log lines with levels, a correlation ID carried through async work
+ * (Monday.com webhook → queued call → ElevenLabs → post-call webhook), redaction of
+ * phone numbers, emails and names, and an in-memory buffer of recent entries for /logs
+ */
+
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Context fields copied into every entry written inside Logger.run
+const CONTEXT_FIELDS = ['correlationId', 'itemId', 'boardId', 'callRecordId', 'conversationId', 'jobId', 'campaignId'];
+
+// Keys whose values are personal data, by redaction category
+const REDACTED_KEYS = {
+  phone: /(phone|to_number|e164)$/i,
+  email: /email$/i,
+  name: /^(name|pulseName|itemName|(customer|contact|first|last|full)_?name)$/i
+};
+
+// Personal data embedded in free text (messages, error texts, column values)
+// Phones: international (+55 11 ...), formatted national ((11) 98765-4321, 11 98765-4321) and runs of
+// 12 to 15 digits with the country code (5511987654321); shorter runs are left alone, as item and board IDs look alike
+const REDACTED_PATTERNS = {
+  phone: /\+\d[\d\s().-]{6,}\d|(?:\(\d{2,3}\)\s?|\b\d{2,3}[\s-])\d{4,5}[\s-]\d{4}\b|\b\d{12,15}\b/g,
+  email: /[\w.+-]+@[\w-]+(\.[\w-]+)+/g
+};
+
+const MAX_DEPTH = 6;
+
+class Logger {
+  
+  constructor() {
+    this.level = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+    this.format = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+    this.redact = (process.env.LOG_REDACT ?? 'phone,email,name')
+      .split(',')
+      .map(category => category.trim())
+      .filter(category => REDACTED_KEYS[category]);
+    this.bufferSize = parseInt(process.env.LOG_BUFFER_SIZE, 10) || 1000;
+    
+    this.entries = [];
+    this.storage = new AsyncLocalStorage();
+  }
+  
+  /**
+   * Detailed diagnostics (hidden unless LOG_LEVEL=debug)
+   * @param {string} message - What happened
+   * @param {Object} fields - Structured details
+   */
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+  
+  /**
+   * Normal progress of the call pipeline
+   * @param {string} message - What happened
+   * @param {Object} fields - Structured details
+   */
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+  
+  /**
+   * Something unexpected that did not stop the work
+   * @param {string} message - What happened
+   * @param {Object} fields - Structured details
+   */
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+  
+  /**
+   * A failed operation
+   * @param {string} message - What happened
+   * @param {Object} fields - Structured details
+   */
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+  
+  /**
+   * Write a log entry
+   * Entries below LOG_LEVEL are dropped; the rest are redacted, kept in the recent buffer and printed
+   * @param {string} level - debug, info, warn or error
+   * @param {string} message - What happened
+   * @param {Object} fields - Structured details (an `error` field may be an Error)
+   */
+  log(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+    
+    const builtIn = {
+      timestamp: new Date().toISOString(),
+      level,
+      message: this.redactText(message)
+    };
+    
+    // Caller fields can't replace the built-in ones, which stay first in the line
+    const entry = {
+      ...builtIn,
+      ...this.context(),
+      ...this.sanitize(fields),
+      ...this.clean(fields),
+      ...builtIn
+    };
+    
+    this.entries.push(entry);
+    if (this.entries.length > this.bufferSize) {
+      this.entries.splice(0, this.entries.length - this.bufferSize);
+    }
+    
+    const line = this.format === 'pretty' ? this.pretty(entry) : JSON.stringify(entry);
+    if (LEVELS[level] >= LEVELS.warn) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+  
+  /**
+   * Run a function with its own log context (correlation ID, item, call...)
+   * The context replaces the current one and follows every async call made by `fn`: timers
+   * inherit the context they were created in, so background work must set its own
+   * @param {Object} context - Context fields (see CONTEXT_FIELDS)
+   * @param {Function} fn - Function to run
+   * @returns {*} - Return value of `fn`
+   */
+  run(context, fn) {
+    return this.storage.run(this.clean(context), fn);
+  }
+  
+  /**
+   * Add fields to the current log context (no-op outside Logger.run)
+   * @param {Object} context - Context fields
+   */
+  bind(context) {
+    const store = this.storage.getStore();
+    if (store) Object.assign(store, this.clean(context));
+  }
+  
+  /**
+   * Current log context
+   * @returns {Object}
+   */
+  context() {
+    return { ...this.storage.getStore() };
+  }
+  
+  /**
+   * Express middleware: every request runs with its own correlation ID
+   * Taken from the X-Request-Id header when the caller sends one, and echoed back in the response
+   * Must come after the body parsers, which would otherwise lose the context
+   * @returns {Function}
+   */
+  middleware() {
+    return (req, res, next) => {
+      const correlationId = req.get('X-Request-Id') || this.newCorrelationId();
+      res.set('X-Request-Id', correlationId);
+      this.storage.run({ correlationId }, next);
+    };
+  }
+  
+  /**
+   * Generate a correlation ID
+   * @returns {string}
+   */
+  newCorrelationId() {
+    return crypto.randomUUID();
+  }
+  
+  /**
+   * Recent log entries, newest first
+   * @param {Object} filters - itemId, callId (call record or conversation ID), correlationId, level (minimum), limit
+   * @returns {Array<Object>}
+   */
+  recent({ itemId, callId, correlationId, level, limit = 100 } = {}) {
+    const minLevel = LEVELS[level] || 0;
+    
+    return this.entries
+      .filter(entry => LEVELS[entry.level] >= minLevel)
+      .filter(entry => itemId == null || entry.itemId === String(itemId))
+      .filter(entry => !callId || entry.callRecordId === callId || entry.conversationId === callId)
+      .filter(entry => !correlationId || entry.correlationId === correlationId)
+      .slice(-limit)
+      .reverse();
+  }
+  
+  /**
+   * Keep the known context fields, with IDs as strings
+   * @param {Object} context - Context fields
+   * @returns {Object}
+   */
+  clean(context = {}) {
+    return Object.fromEntries(
+      CONTEXT_FIELDS
+        .filter(field => context[field] != null && context[field] !== '')
+        .map(field => [field, String(context[field])])
+    );
+  }
+  
+  /**
+   * Redact personal data and make values JSON-safe
+   * @param {*} value - Any value
+   * @param {string} key - Key the value is stored under
+   * @param {number} depth - Nesting level
+   * @returns {*}
+   */
+  sanitize(value, key = '', depth = 0) {
+    if (value == null) return value;
+    
+    if (typeof value !== 'object' && this.redact.some(category => REDACTED_KEYS[category].test(key))) {
+      return this.mask(key, String(value));
+    }
+    
+    if (typeof value === 'string') return this.redactText(value);
+    if (typeof value !== 'object') return value;
+    
+    // The error class is kept as is (a `name` key would be redacted as a person's name)
+    if (value instanceof Error) {
+      return {
+        name: value.name,
+        ...this.sanitize({
+          message: value.message,
+          code: value.code,
+          status: value.status,
+          type: value.type,
+          stack: LEVELS[this.level] <= LEVELS.debug ? value.stack : undefined
+        }, key, depth)
+      };
+    }
+    
+    if (value instanceof Date) return value.toISOString();
+    if (depth >= MAX_DEPTH) return '[truncated]';
+    
+    if (Array.isArray(value)) {
+      return value.map(item => this.sanitize(item, key, depth + 1));
+    }
+    
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, item]) => item !== undefined)
+        .map(([field, item]) => [field, this.sanitize(item, field, depth + 1)])
+    );
+  }
+  
+  /**
+   * Mask a value stored under a personal-data key
+   * Phones keep their last 4 digits and emails their domain, so entries can still be told apart
+   * @param {string} key - Key
+   * @param {string} value - Value
+   * @returns {string}
+   */
+  mask(key, value) {
+    if (REDACTED_KEYS.phone.test(key)) {
+      const digits = value.replace(/\D/g, '');
+      return digits.length > 4 ? `***${digits.slice(-4)}` : '***';
+    }
+    
+    if (REDACTED_KEYS.email.test(key)) {
+      return this.maskEmail(value);
+    }
+    
+    return '[redacted]';
+  }
+  
+  /**
+   * Mask an email address, keeping its domain
+   * @param {string} email - Email
+   * @returns {string}
+   */
+  maskEmail(email) {
+    const domain = email.split('@')[1];
+    return domain ? `***@${domain}` : '***';
+  }
+  
+  /**
+   * Redact phone numbers and emails found in free text
+   * @param {string} text - Text
+   * @returns {string}
+   */
+  redactText(text) {
+    let result = String(text);
+    
+    if (this.redact.includes('phone')) {
+      result = result.replace(REDACTED_PATTERNS.phone, match => this.mask('phone', match));
+    }
+    
+    if (this.redact.includes('email')) {
+      result = result.replace(REDACTED_PATTERNS.email, match => this.maskEmail(match));
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Human-readable line (LOG_FORMAT=pretty)
+   * @param {Object} entry - Log entry
+   * @returns {string}
+   */
+  pretty(entry) {
+    const { timestamp, level, message, ...fields } = entry;
+    const details = Object.keys(fields).length > 0 ? ` ${util.inspect(fields, { depth: null, breakLength: Infinity, compact: true })}` : '';
+    return `${timestamp} ${level.toUpperCase().padEnd(5)} ${message}${details}`;
+  }
+}
+
+module.exports = new Logger();
@@ -0,0 +1,155 @@
+/**
+ * Metrics
+ * Prometheus metrics of the call pipeline: webhooks, ignored leads, calls, upstream API latency,
+ * queue depth and post-call outcomes, served in the text exposition format by GET /metrics
+ */
+
+const client = require('prom-client');
+const callQueue = require('./callQueue');
+
+const PREFIX = 'monday_elevenlabs_';
+
+// Upstream latency buckets (seconds), from fast GraphQL queries to slow call initiation
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+class Metrics {
+  
+  constructor() {
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry, prefix: PREFIX });
+    
+    const registers = [this.registry];
+    
+    this.webhooks = new client.Counter({
+      name: `${PREFIX}webhooks_received_total`,
+      help: 'Webhooks received, by source and event type',
+      labelNames: ['source', 'event_type'],
+      registers
+    });
+    
+    this.ignoredLeads = new client.Counter({
+      name: `${PREFIX}leads_ignored_total`,
+      help: 'Monday.com webhooks that did not lead to a call, by reason',
+      labelNames: ['reason'],
+      registers
+    });
+    
+    this.callsInitiated = new client.Counter({
+      name: `${PREFIX}calls_initiated_total`,
+      help: 'Calls placed (or recorded in dry-run), by call mode',
+      labelNames: ['mode'],
+      registers
+    });
+    
+    this.callsFailed = new client.Counter({
+      name: `${PREFIX}calls_failed_total`,
+      help: 'Failed call initiation attempts, by error class',
+      labelNames: ['error_class'],
+      registers
+    });
+    
+    this.apiLatency = new client.Histogram({
+      name: `${PREFIX}api_request_duration_seconds`,
+      help: 'Monday.com and ElevenLabs API request latency, by API, operation and result',
+      labelNames: ['api', 'operation', 'result'],
+      buckets: LATENCY_BUCKETS,
+      registers
+    });
+    
+    this.postCallOutcomes = new client.Counter({
+      name: `${PREFIX}post_call_outcomes_total`,
+      help: 'Call outcomes received, by status, connection and call success',
+      labelNames: ['status', 'connection', 'call_successful'],
+      registers
+    });
+    
+    // Read from the queue on every scrape
+    new client.Gauge({
+      name: `${PREFIX}call_queue_jobs`,
+      help: 'Jobs in the call queue, by state',
+      labelNames: ['state'],
+      registers,
+      collect() {
+        const stats = callQueue.stats();
+        this.set({ state: 'queued' }, stats.queued);
+        this.set({ state: 'processing' }, stats.processing);
+        this.set({ state: 'dead_letter' }, stats.deadLetter);
+      }
+    });
+  }
+  
+  /**
+   * Count a received webhook
+   * @param {string} source - monday or elevenlabs
+   * @param {string|null} eventType - Event type of the payload
+   */
+  webhookReceived(source, eventType) {
+    this.webhooks.inc({ source, event_type: eventType || 'unknown' });
+  }
+  
+  /**
+   * Count a lead that was not called
+   * @param {string} reason - Skip reason (no_phone, invalid_event, duplicate_event...)
+   */
+  leadIgnored(reason) {
+    this.ignoredLeads.inc({ reason: reason || 'unknown' });
+  }
+  
+  /**
+   * Count a placed call
+   * @param {string} mode - Call mode (live, dry-run, sandbox)
+   */
+  callInitiated(mode) {
+    this.callsInitiated.inc({ mode: mode || 'unknown' });
+  }
+  
+  /**
+   * Count a failed call initiation
+   * @param {Error} error - Error thrown while initiating the call
+   */
+  callFailed(error) {
+    this.callsFailed.inc({ error_class: error?.name || 'Error' });
+  }
+  
+  /**
+   * Start timing an upstream API request
+   * @param {string} api - monday or elevenlabs
+   * @param {string} operation - Request kind (query, mutation, "GET /convai/agents/:id"...)
+   * @returns {Function} - Call with the result (success or an error type) when the request ends
+   */
+  startApiTimer(api, operation) {
+    const end = this.apiLatency.startTimer({ api, operation });
+    return result => end({ result });
+  }
+  
+  /**
+   * Count a post-call outcome
+   * @param {Object} outcome - Parsed post-call data
+   * @param {string} connection - How the call connected (see RedialPolicy.classify)
+   */
+  postCallOutcome(outcome, connection) {
+    this.postCallOutcomes.inc({
+      status: outcome.status === 'failed' ? 'failed' : 'completed',
+      connection,
+      call_successful: outcome.callSuccessful || 'unknown'
+    });
+  }
+  
+  /**
+   * Content type of the exposition format
+   * @returns {string}
+   */
+  get contentType() {
+    return this.registry.contentType;
+  }
+  
+  /**
+   * All metrics in the exposition format
+   * @returns {Promise<string>}
+   */
+  render() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = new Metrics();
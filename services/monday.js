@@ -3,16 +3,37 @@
  * Handles webhook processing and data extraction from Monday.com CRM
  */
 
-const axios = require('axios');
+const MondayClient = require('./mondayClient');
+const boardConfig = require('./boardConfig');
+const phoneNumber = require('./phoneNumber');
+const logger = require('./logger');
+
+/**
+ * Escape text placed in the HTML body of an update
+ * @param {*} text - Text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
 
 class MondayService {
   
   constructor() {
     this.mondayApiKey = process.env.MONDAY_API_KEY;
-    this.mondayApiUrl = 'https://api.monday.com/v2';
+    this.client = new MondayClient({
+      apiKey: this.mondayApiKey,
+      apiUrl: process.env.MONDAY_API_URL,
+      apiVersion: process.env.MONDAY_API_VERSION,
+      maxRetries: process.env.MONDAY_MAX_RETRIES != null ? parseInt(process.env.MONDAY_MAX_RETRIES, 10) : undefined
+    });
     
     if (!this.mondayApiKey) {
-      console.warn('⚠️ MONDAY_API_KEY not configured in .env');
+      logger.warn('MONDAY_API_KEY not configured in .env');
     }
   }
   
@@ -20,86 +41,247 @@ class MondayService {
    * Fetch complete item details from Monday.com API
    * @param {number} boardId - Board ID
    * @param {number} itemId - Item ID
-   * @returns {Promise<Object>} - Complete item data
+   * @returns {Promise<Object|null>} - Complete item data, or null if the item doesn't exist
    */
   async fetchItemDetails(boardId, itemId) {
-    try {
-      console.log('🔍 Fetching complete data from Monday.com API...', { boardId, itemId });
-      
-      const query = `
-        query {
-          items(ids: [${itemId}]) {
+    if (!this.mondayApiKey) {
+      logger.warn('MONDAY_API_KEY not configured, using webhook data only');
+      return null;
+    }
+    
+    logger.info('Fetching complete item data from Monday.com API', { boardId, itemId });
+    
+    const query = `
+      query ($itemId: ID!) {
+        items(ids: [$itemId]) {
+          id
+          name
+          group {
             id
-            name
-            column_values {
-              id
-              text
-              value
-            }
+            title
           }
-        }
-      `;
-      
-      const response = await axios.post(this.mondayApiUrl, 
-        { query },
-        {
-          headers: {
-            'Authorization': this.mondayApiKey,
-            'Content-Type': 'application/json'
+          column_values {
+            id
+            text
+            value
           }
         }
-      );
-      
-      if (!response.data || !response.data.data || !response.data.data.items || response.data.data.items.length === 0) {
-        console.log('⚠️ Item not found in Monday.com');
+      }
+    `;
+    
+    let data;
+    try {
+      data = await this.graphqlRequest(query, { itemId: String(itemId) });
+    } catch (error) {
+      if (error.type === 'not_found') {
+        logger.warn('Item not found in Monday.com', { itemId });
         return null;
       }
-      
-      const item = response.data.data.items[0];
-      console.log('📊 Raw data from Monday.com:', JSON.stringify(item, null, 2));
-      
-      // Process item data
-      const itemData = {
-        id: item.id,
-        name: item.name,
-        phone: null,
-        email: null,
-        company: null,
-        columns: {}
-      };
-      
-      // Process column_values to extract phone, email, and company
-      if (item.column_values) {
-        item.column_values.forEach(column => {
-          itemData.columns[column.id] = column.text || column.value;
-          
-          // Look for phone in phone columns
-          if (this.isPhoneColumn(column.id) && column.text) {
-            itemData.phone = this.extractPhone(column.text);
-            console.log('📞 Phone found in column', column.id + ':', itemData.phone);
-          }
-          
-          // Look for email in email columns
-          if (this.isEmailColumn(column.id) && column.text) {
-            itemData.email = column.text;
-            console.log('📧 Email found in column', column.id + ':', itemData.email);
-          }
-          
-          // Look for company in company columns
-          if (this.isCompanyColumn(column.id) && column.text) {
-            itemData.company = column.text;
-            console.log('🏢 Company found in column', column.id + ':', itemData.company);
-          }
-        });
+      throw error;
+    }
+    
+    if (!data.items || data.items.length === 0) {
+      logger.warn('Item not found in Monday.com', { itemId });
+      return null;
+    }
+    
+    const item = data.items[0];
+    logger.debug('Raw data from Monday.com', { item });
+    
+    const itemData = this.parseItem(item, boardId);
+    
+    logger.debug('Data processed from Monday.com', { itemData });
+    return itemData;
+  }
+  
+  /**
+   * Extract lead fields and column texts from a raw Monday.com item
+   * @param {Object} item - Item with id, name, group and column_values
+   * @param {number} boardId - Board ID (selects the column mapping)
+   * @returns {Object} - Item data
+   */
+  parseItem(item, boardId) {
+    const itemData = {
+      id: item.id,
+      name: item.name,
+      phone: null,
+      phoneRaw: null,
+      email: null,
+      company: null,
+      group: item.group || null,
+      fields: {},
+      columns: {}
+    };
+    
+    const mapping = boardConfig.getColumnMapping(boardId);
+    const fields = boardConfig.getFields(boardId);
+    
+    // Process column_values to extract phone, email, and company
+    if (item.column_values) {
+      item.column_values.forEach(column => {
+        itemData.columns[column.id] = column.text || column.value;
+        
+        // Look for phone in phone columns
+        if (this.isMappedColumn('phone', column.id, mapping) && column.text) {
+          itemData.phoneRaw = this.readPhoneColumn(column);
+          itemData.phone = this.extractPhone(itemData.phoneRaw);
+          logger.debug('Phone found in column', { column: column.id, phone: itemData.phone });
+        }
+        
+        // Look for email in email columns
+        if (this.isMappedColumn('email', column.id, mapping) && column.text) {
+          itemData.email = column.text;
+          logger.debug('Email found in column', { column: column.id, email: itemData.email });
+        }
+        
+        // Look for company in company columns
+        if (this.isMappedColumn('company', column.id, mapping) && column.text) {
+          itemData.company = column.text;
+          logger.debug('Company found in column', { column: column.id, company: itemData.company });
+        }
+      });
+    }
+    
+    // Extra fields configured for the board
+    Object.entries(fields).forEach(([name, columnId]) => {
+      itemData.fields[name] = itemData.columns[columnId] ?? null;
+    });
+    
+    return itemData;
+  }
+  
+  /**
+   * Phone of a phone column, with the country set on the column (national numbers are
+   * validated with that country's rules instead of DEFAULT_PHONE_COUNTRY)
+   * @param {Object} column - Column value with id, text and value (JSON)
+   * @returns {string|Object} - Text, or { phone, countryShortName }
+   */
+  readPhoneColumn(column) {
+    let value = null;
+    try {
+      value = column.value ? JSON.parse(column.value) : null;
+    } catch (error) {
+      logger.debug('Phone column value is not JSON', { column: column.id });
+    }
+    
+    return value?.countryShortName
+      ? { phone: column.text, countryShortName: value.countryShortName }
+      : column.text;
+  }
+  
+  /**
+   * Build lead data from parsed item data (used outside webhooks, e.g. campaigns)
+   * @param {Object} itemData - Result of parseItem
+   * @param {number} boardId - Board ID
+   * @param {string} source - Lead source
+   * @returns {Object} - Lead data
+   */
+  buildLeadFromItem(itemData, boardId, source) {
+    const leadData = {
+      id: itemData.id,
+      name: itemData.name || 'Lead without name',
+      boardId,
+      phone: null,
+      email: itemData.email,
+      company: itemData.company,
+      fields: itemData.fields,
+      group: itemData.group,
+      source,
+      createdAt: new Date().toISOString(),
+      mcpData: itemData
+    };
+    
+    this.applyPhone(leadData, itemData.phoneRaw);
+    return leadData;
+  }
+  
+  /**
+   * Normalize and validate the phone of a lead before it reaches the dialer
+   * Sets phone (E.164 or null), phoneType and phoneError
+   * @param {Object} leadData - Lead data
+   * @param {string|Object|null} rawPhone - Phone as found in Monday.com
+   */
+  applyPhone(leadData, rawPhone) {
+    if (!rawPhone) {
+      logger.info('Phone not found in lead data');
+      return;
+    }
+    
+    const phoneCheck = phoneNumber.normalize(rawPhone);
+    leadData.phone = phoneCheck.valid ? phoneCheck.e164 : null;
+    leadData.phoneType = phoneCheck.type;
+    leadData.phoneError = phoneCheck.valid ? null : phoneCheck.reason;
+    
+    if (!phoneCheck.valid) {
+      logger.info('Invalid phone number', { phone: phoneCheck.input, reason: phoneCheck.reason });
+    }
+  }
+  
+  /**
+   * Fetch a page of items from a board or group, using the items_page cursor API
+   * @param {Object} options - boardId, groupId, cursor (from the previous page), limit
+   * @returns {Promise<Object>} - { cursor, items } (cursor is null on the last page)
+   */
+  async getItemsPage({ boardId, groupId, cursor, limit = 50 }) {
+    const itemFields = `
+      id
+      name
+      group {
+        id
+        title
       }
+      column_values {
+        id
+        text
+        value
+      }
+    `;
+    
+    if (cursor) {
+      const data = await this.graphqlRequest(`
+        query ($cursor: String!, $limit: Int!) {
+          next_items_page(cursor: $cursor, limit: $limit) {
+            cursor
+            items { ${itemFields} }
+          }
+        }
+      `, { cursor, limit });
       
-      console.log('✅ Data processed from Monday.com:', itemData);
-      return itemData;
-      
-    } catch (error) {
-      console.error('❌ Error fetching data from Monday.com:', error);
-      return null;
+      return data.next_items_page;
     }
+    
+    const itemsPage = `
+      items_page(limit: $limit) {
+        cursor
+        items { ${itemFields} }
+      }
+    `;
+    
+    const data = await this.graphqlRequest(groupId ? `
+      query ($boardId: ID!, $groupId: String!, $limit: Int!) {
+        boards(ids: [$boardId]) {
+          groups(ids: [$groupId]) { ${itemsPage} }
+        }
+      }
+    ` : `
+      query ($boardId: ID!, $limit: Int!) {
+        boards(ids: [$boardId]) { ${itemsPage} }
+      }
+    `, groupId
+      ? { boardId: String(boardId), groupId: String(groupId), limit }
+      : { boardId: String(boardId), limit });
+    
+    const board = data.boards?.[0];
+    if (!board) {
+      throw new Error(`Board ${boardId} not found`);
+    }
+    
+    const page = groupId ? board.groups?.[0]?.items_page : board.items_page;
+    if (!page) {
+      throw new Error(`Group ${groupId} not found in board ${boardId}`);
+    }
+    
+    return page;
   }
   
   /**
@@ -109,8 +291,6 @@ class MondayService {
    */
   async processWebhook(webhookData) {
     try {
-      console.log('🔍 Processing Monday.com webhook...');
-      
       // Extract data from webhook structure
       const { event, pulseName, pulseId, boardId, columnValues } = webhookData;
       
@@ -125,28 +305,20 @@ class MondayService {
       const columnValue = eventData?.value || event?.value;
       const itemName = event?.pulseName || pulseName;
       
-      console.log('📋 Event data:', {
-        type: eventType,
-        itemId,
-        boardId: boardIdFromEvent,
-        columnId,
-        value: columnValue
-      });
+      logger.bind({ itemId, boardId: boardIdFromEvent });
+      logger.info('Processing Monday.com webhook', { eventType, columnId });
+      logger.debug('Changed column value', { value: columnValue });
       
       // Check if it's a valid event (creation or status change)
       const isCreateEvent = eventType === 'create_pulse';
       const isChangeEvent = eventType === 'change_column_value' || eventType === 'update_column_value';
       
       if (!isCreateEvent && !isChangeEvent) {
-        console.log('⚠️ Event is not creation or column change, ignoring...');
-        console.log('📋 Event type:', eventType);
+        logger.info('Event is not creation or column change, ignoring', { eventType });
         return null;
       }
       
-      console.log('✅ Valid event detected! Processing...');
-      
       // Fetch complete data from Monday.com API
-      console.log('🔄 Fetching complete item data from Monday.com API...');
       const itemDetails = await this.fetchItemDetails(boardIdFromEvent, itemId);
       
       // Extract basic data from webhook + API data
@@ -157,6 +329,8 @@ class MondayService {
         phone: itemDetails?.phone || null,
         email: itemDetails?.email || null,
         company: itemDetails?.company || null,
+        fields: itemDetails?.fields || {},
+        group: itemDetails?.group || null,
         source: 'monday.com',
         createdAt: new Date().toISOString(),
         eventType: eventType,
@@ -165,42 +339,363 @@ class MondayService {
         mcpData: itemDetails // Complete API data for debugging
       };
       
+      let rawPhone = itemDetails?.phoneRaw || null;
+      
       // Process Monday.com columns to extract phone and other data
       if (columnValues) {
+        const mapping = boardConfig.getColumnMapping(boardIdFromEvent);
+        
         Object.keys(columnValues).forEach(columnId => {
           const columnValue = columnValues[columnId];
           
-          // Identify phone column (adapt according to your board)
-          if (this.isPhoneColumn(columnId) && columnValue) {
-            leadData.phone = this.extractPhone(columnValue);
+          // Identify phone column (board mapping or keyword heuristics)
+          if (this.isMappedColumn('phone', columnId, mapping) && columnValue) {
+            rawPhone = columnValue;
           }
           
           // Identify email column
-          if (this.isEmailColumn(columnId) && columnValue) {
+          if (this.isMappedColumn('email', columnId, mapping) && columnValue) {
             leadData.email = this.extractEmail(columnValue);
           }
           
           // Identify company column
-          if (this.isCompanyColumn(columnId) && columnValue) {
+          if (this.isMappedColumn('company', columnId, mapping) && columnValue) {
             leadData.company = columnValue.text || columnValue.value || columnValue;
           }
         });
       }
       
-      // Basic validation
-      if (!leadData.phone) {
-        console.log('⚠️ Phone not found in webhook data');
-      }
+      // Normalize and validate the phone before it reaches the dialer
+      this.applyPhone(leadData, rawPhone);
       
-      console.log('✅ Lead processed successfully:', leadData);
+      logger.debug('Lead processed', { leadData });
       return leadData;
       
     } catch (error) {
-      console.error('❌ Error processing Monday.com webhook:', error);
+      // API errors (auth, rate limit...) are not invalid webhooks: let the caller answer with an error
+      if (error.name === 'MondayApiError') throw error;
+      
+      logger.error('Error processing Monday.com webhook', { error });
       return null;
     }
   }
   
+  /**
+   * Run a GraphQL request against the Monday.com API (see MondayClient)
+   * @param {string} query - GraphQL query or mutation
+   * @param {Object} variables - GraphQL variables
+   * @returns {Promise<Object>} - Response data
+   */
+  async graphqlRequest(query, variables = {}) {
+    return this.client.request(query, variables);
+  }
+  
+  /**
+   * Update several columns of an item at once
+   * @param {number} boardId - Board ID
+   * @param {number} itemId - Item ID
+   * @param {Object} columnValues - Column values keyed by column ID
+   * @returns {Promise<Object>} - Updated item
+   */
+  async updateColumnValues(boardId, itemId, columnValues) {
+    logger.info('Updating Monday.com columns', { boardId, itemId, columns: Object.keys(columnValues) });
+    
+    const mutation = `
+      mutation ($boardId: ID!, $itemId: ID!, $columnValues: JSON!) {
+        change_multiple_column_values(
+          board_id: $boardId,
+          item_id: $itemId,
+          column_values: $columnValues,
+          create_labels_if_missing: true
+        ) {
+          id
+        }
+      }
+    `;
+    
+    const data = await this.graphqlRequest(mutation, {
+      boardId: String(boardId),
+      itemId: String(itemId),
+      columnValues: JSON.stringify(columnValues)
+    });
+    
+    return data.change_multiple_column_values;
+  }
+  
+  /**
+   * Post an update (comment) on an item
+   * @param {number} itemId - Item ID
+   * @param {string} body - Update body (HTML allowed)
+   * @returns {Promise<Object>} - Created update
+   */
+  async createUpdate(itemId, body) {
+    logger.info('Posting update to Monday.com item', { itemId });
+    
+    const mutation = `
+      mutation ($itemId: ID!, $body: String!) {
+        create_update(item_id: $itemId, body: $body) {
+          id
+        }
+      }
+    `;
+    
+    const data = await this.graphqlRequest(mutation, {
+      itemId: String(itemId),
+      body
+    });
+    
+    return data.create_update;
+  }
+  
+  /**
+   * Write the outcome of a finished call back to the originating item
+   * @param {Object} outcome - Parsed post-call data (see ElevenLabsService.parsePostCallWebhook)
+   * @param {Object} extraColumns - Additional column values (e.g. mapped data collection results)
+   * @returns {Promise<Object>} - What was written
+   */
+  async writeCallOutcome(outcome, extraColumns = {}) {
+    if (!outcome.itemId || !outcome.boardId) {
+      throw new Error('Monday item or board not identified for this call');
+    }
+    
+    const columns = this.outcomeColumns;
+    const columnValues = { ...extraColumns };
+    
+    if (columns.status) {
+      columnValues[columns.status] = { label: this.formatCallStatus(outcome.status) };
+    }
+    if (columns.duration && outcome.durationSecs != null) {
+      columnValues[columns.duration] = String(outcome.durationSecs);
+    }
+    if (columns.outcome) {
+      columnValues[columns.outcome] = { label: this.formatCallOutcome(outcome.callSuccessful) };
+    }
+    if (columns.summary && outcome.summary) {
+      columnValues[columns.summary] = { text: outcome.summary };
+    }
+    
+    const result = { itemId: outcome.itemId, columns: Object.keys(columnValues), update: false };
+    
+    if (Object.keys(columnValues).length > 0) {
+      await this.updateColumnValues(outcome.boardId, outcome.itemId, columnValues);
+    } else {
+      logger.info('No call outcome columns configured, skipping column update');
+    }
+    
+    if (outcome.transcript?.length) {
+      await this.createUpdate(outcome.itemId, this.formatTranscriptUpdate(outcome));
+      result.update = true;
+    }
+    
+    logger.info('Call outcome written to Monday.com', { result });
+    return result;
+  }
+  
+  /**
+   * Column IDs receiving call outcome data (configured in .env)
+   * @returns {Object} - Column IDs by field
+   */
+  get outcomeColumns() {
+    return {
+      status: process.env.MONDAY_CALL_STATUS_COLUMN,
+      duration: process.env.MONDAY_CALL_DURATION_COLUMN,
+      outcome: process.env.MONDAY_CALL_OUTCOME_COLUMN,
+      summary: process.env.MONDAY_CALL_SUMMARY_COLUMN
+    };
+  }
+  
+  /**
+   * Columns the service writes call results to (outcome columns and data collection results)
+   * Monday.com sends a webhook for each of these writes: they are not changes made by people
+   * @param {string|number} boardId - Board ID
+   * @returns {Array<string>} - Column IDs
+   */
+  writtenColumns(boardId) {
+    const dataCollection = Object.values(boardConfig.getDataCollection(boardId)).map(spec => spec.column);
+    return [...Object.values(this.outcomeColumns), ...dataCollection].filter(Boolean);
+  }
+  
+  /**
+   * Write the final status of a lead that will not be called again
+   * @param {Object} outcome - Parsed post-call data (itemId, boardId)
+   * @param {string|null} label - Status label (skipped when null)
+   * @param {string} reason - Why calls stopped
+   * @returns {Promise<void>}
+   */
+  async writeFinalStatus(outcome, label, reason) {
+    const statusColumn = this.outcomeColumns.status;
+    
+    if (statusColumn && label) {
+      await this.updateColumnValues(outcome.boardId, outcome.itemId, {
+        [statusColumn]: { label }
+      });
+    }
+    
+    await this.createUpdate(outcome.itemId, `<p><strong>📵 No more call attempts</strong></p><p>${escapeHtml(reason)}</p>`);
+  }
+  
+  /**
+   * Record on the item why its phone number cannot be dialed
+   * @param {Object} leadData - Lead data (with phoneError)
+   * @returns {Promise<void>}
+   */
+  async recordInvalidPhone(leadData) {
+    const statusColumn = this.outcomeColumns.status;
+    
+    if (statusColumn) {
+      await this.updateColumnValues(leadData.boardId, leadData.id, {
+        [statusColumn]: { label: 'Invalid phone' }
+      });
+    }
+    
+    await this.createUpdate(leadData.id, `<p><strong>📵 Phone not called</strong></p><p>${escapeHtml(leadData.phoneError)}</p>`);
+  }
+  
+  /**
+   * Map an ElevenLabs conversation status to a status label
+   * @param {string} status - Conversation status
+   * @returns {string} - Label
+   */
+  formatCallStatus(status) {
+    const labels = {
+      done: 'Call completed',
+      failed: 'Call failed',
+      'in-progress': 'Call in progress',
+      processing: 'Call in progress'
+    };
+    return labels[status] || 'Call status unknown';
+  }
+  
+  /**
+   * Map the ElevenLabs success evaluation to an outcome label
+   * @param {string} callSuccessful - 'success', 'failure' or 'unknown'
+   * @returns {string} - Label
+   */
+  formatCallOutcome(callSuccessful) {
+    const labels = {
+      success: 'Successful',
+      failure: 'Unsuccessful'
+    };
+    return labels[callSuccessful] || 'Unknown';
+  }
+  
+  /**
+   * Build the item update body containing the full transcript
+   * @param {Object} outcome - Parsed post-call data
+   * @returns {string} - HTML body
+   */
+  formatTranscriptUpdate(outcome) {
+    const header = [
+      '<p><strong>📞 Call transcript</strong></p>',
+      `<p>Conversation: ${escapeHtml(outcome.conversationId)}<br>`,
+      `Status: ${escapeHtml(this.formatCallStatus(outcome.status))}<br>`,
+      `Outcome: ${escapeHtml(this.formatCallOutcome(outcome.callSuccessful))}<br>`,
+      `Duration: ${escapeHtml(outcome.durationSecs ?? '-')}s</p>`
+    ];
+    
+    if (outcome.summary) {
+      header.push(`<p><strong>Summary:</strong> ${escapeHtml(outcome.summary)}</p>`);
+    }
+    
+    const lines = outcome.transcript.map(turn => {
+      const speaker = turn.role === 'agent' ? 'Agent' : 'Lead';
+      return `<p><strong>${speaker}:</strong> ${escapeHtml(turn.message)}</p>`;
+    });
+    
+    return header.concat(lines).join('');
+  }
+  
+  /**
+   * List the columns of a board
+   * @param {number} boardId - Board ID
+   * @returns {Promise<Object>} - Board with its columns
+   */
+  async getBoardColumns(boardId) {
+    const query = `
+      query ($boardId: ID!) {
+        boards(ids: [$boardId]) {
+          id
+          name
+          columns {
+            id
+            title
+            type
+          }
+        }
+      }
+    `;
+    
+    const data = await this.graphqlRequest(query, { boardId: String(boardId) });
+    return data.boards?.[0] || null;
+  }
+  
+  /**
+   * Find a Monday.com user by email or name (for people columns)
+   * @param {string} nameOrEmail - Email address or full name
+   * @returns {Promise<Object|null>} - { id, name, email } or null when no user matches
+   */
+  async findUser(nameOrEmail) {
+    const key = String(nameOrEmail).trim().toLowerCase();
+    if (!this.userCache) this.userCache = new Map();
+    if (this.userCache.has(key)) return this.userCache.get(key);
+    
+    const byEmail = key.includes('@');
+    const query = byEmail
+      ? 'query ($value: [String]) { users(emails: $value) { id name email } }'
+      : 'query ($value: String) { users(name: $value) { id name email } }';
+    
+    const data = await this.graphqlRequest(query, { value: byEmail ? [key] : String(nameOrEmail).trim() });
+    const user = (data.users || []).find(candidate =>
+      (byEmail ? candidate.email : candidate.name)?.toLowerCase() === key
+    ) || null;
+    
+    this.userCache.set(key, user);
+    return user;
+  }
+  
+  /**
+   * Suggest a column mapping for a board based on column types and titles
+   * @param {Array<Object>} columns - Board columns (id, title, type)
+   * @returns {Object} - Column IDs by field
+   */
+  suggestColumnMapping(columns) {
+    const mapping = {};
+    const matchTitle = (column, check) => check.call(this, column.title || '');
+    
+    const phone = columns.find(column => column.type === 'phone') ||
+                  columns.find(column => matchTitle(column, this.isPhoneColumn));
+    const email = columns.find(column => column.type === 'email') ||
+                  columns.find(column => matchTitle(column, this.isEmailColumn));
+    const company = columns.find(column => matchTitle(column, this.isCompanyColumn));
+    
+    if (phone) mapping.phone = phone.id;
+    if (email) mapping.email = email.id;
+    if (company) mapping.company = company.id;
+    
+    return mapping;
+  }
+  
+  /**
+   * Check if a column holds a lead field, using the board mapping when available
+   * @param {string} field - 'phone', 'email' or 'company'
+   * @param {string} columnId - Column ID
+   * @param {Object|null} mapping - Board column mapping
+   * @returns {boolean}
+   */
+  isMappedColumn(field, columnId, mapping) {
+    if (mapping) {
+      return mapping[field] === columnId;
+    }
+    
+    const heuristics = {
+      phone: this.isPhoneColumn,
+      email: this.isEmailColumn,
+      company: this.isCompanyColumn
+    };
+    
+    return heuristics[field].call(this, columnId);
+  }
+  
   /**
    * Check if a column contains phone data
    * @param {string} columnId - Column ID
@@ -240,41 +735,18 @@ class MondayService {
   /**
    * Extract phone number from various formats
    * @param {string|Object} phoneData - Phone data
-   * @returns {string|null} - Formatted phone number
+   * @returns {string|null} - Phone in E.164 format, or null if invalid
    */
   extractPhone(phoneData) {
-    try {
-      let phone = '';
-      
-      if (typeof phoneData === 'string') {
-        phone = phoneData;
-      } else if (phoneData && phoneData.text) {
-        phone = phoneData.text;
-      } else if (phoneData && phoneData.value) {
-        phone = phoneData.value;
-      }
-      
-      // Remove all non-numeric characters except +
-      phone = phone.replace(/[^\d+]/g, '');
-      
-      // Add +55 if it's a Brazilian number without country code
-      if (phone.length === 11 && !phone.startsWith('+')) {
-        phone = '+55' + phone;
-      } else if (phone.length === 10 && !phone.startsWith('+')) {
-        phone = '+55' + phone;
-      }
-      
-      // Validate phone format
-      if (phone.length >= 10) {
-        console.log('📞 Phone extracted and formatted:', phone);
-        return phone;
-      }
-      
-      return null;
-    } catch (error) {
-      console.error('❌ Error extracting phone:', error);
+    const result = phoneNumber.normalize(phoneData);
+    
+    if (!result.valid) {
+      logger.info('Phone rejected', { phone: result.input, reason: result.reason });
       return null;
     }
+    
+    logger.debug('Phone extracted and formatted', { phone: result.e164 });
+    return result.e164;
   }
   
   /**
@@ -297,13 +769,13 @@ class MondayService {
       // Basic email validation
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
       if (emailRegex.test(email)) {
-        console.log('📧 Email extracted:', email);
+        logger.debug('Email extracted', { email });
         return email;
       }
       
       return null;
     } catch (error) {
-      console.error('❌ Error extracting email:', error);
+      logger.error('Error extracting email', { error });
       return null;
     }
   }
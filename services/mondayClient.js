@@ -0,0 +1,310 @@
+/**
+ * Monday.com GraphQL Client
+ * Sends parameterised queries with a pinned API version, classifies API errors
+ * (auth, not found, rate limit, complexity), retries throttled requests after the
+ * delay Monday.com asks for and keeps track of the complexity budget
+ */
+
+const axios = require('axios');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const DEFAULT_API_URL = 'https://api.monday.com/v2';
+const DEFAULT_API_VERSION = '2025-04';
+
+// Selected with every request to account for its cost and the remaining budget
+const COMPLEXITY_FIELD = 'complexity { query before after reset_in_x_seconds }';
+
+// Monday.com error codes by error type
+const ERROR_TYPES = {
+  auth: ['UserUnauthorizedException', 'USER_UNAUTHORIZED', 'Unauthorized', 'IP_RESTRICTED', 'INVALID_TOKEN'],
+  not_found: ['ResourceNotFoundException', 'InvalidItemIdException', 'InvalidBoardIdException',
+    'InvalidColumnIdException', 'InvalidGroupIdException', 'InvalidUserIdException', 'NOT_FOUND'],
+  rate_limit: ['RATE_LIMIT_EXCEEDED', 'RateLimitExceeded', 'maxConcurrencyExceeded',
+    'CONCURRENCY_LIMIT_EXCEEDED', 'IP_RATE_LIMIT_EXCEEDED', 'DAILY_LIMIT_EXCEEDED'],
+  complexity: ['ComplexityException', 'COMPLEXITY_BUDGET_EXHAUSTED', 'COMPLEXITY_EXCEPTION']
+};
+
+const TRANSIENT_TYPES = ['rate_limit', 'complexity', 'upstream', 'network'];
+
+// Errors meaning the request was refused before being applied: the only ones a mutation is retried on
+// (after a timeout or a 5xx it may have been applied, and create_update would post twice)
+const NOT_APPLIED_TYPES = ['rate_limit', 'complexity'];
+
+class MondayClient {
+
+  /**
+   * @param {Object} options - apiKey, apiUrl, apiVersion, timeoutMs, maxRetries, maxRetryDelayMs
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey;
+    this.apiUrl = options.apiUrl || DEFAULT_API_URL;
+    this.apiVersion = options.apiVersion || DEFAULT_API_VERSION;
+    this.timeoutMs = options.timeoutMs || 30000;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.maxRetryDelayMs = options.maxRetryDelayMs || 60000;
+
+    this.budget = {
+      requests: 0,
+      complexityUsed: 0,
+      lastQueryCost: null,
+      remaining: null,
+      resetAt: null
+    };
+  }
+
+  /**
+   * Run a GraphQL query or mutation
+   * Throttled queries (rate limit, complexity budget, 5xx, network) are retried; mutations only
+   * on rate limit and complexity errors. Other errors are thrown right away
+   * @param {string} query - GraphQL document (values must be passed as variables)
+   * @param {Object} variables - GraphQL variables
+   * @returns {Promise<Object>} - Response data
+   */
+  async request(query, variables = {}) {
+    if (!this.apiKey) {
+      throw this.createError('MONDAY_API_KEY not configured', { type: 'auth' });
+    }
+
+    const retryableTypes = /^\s*mutation\b/.test(query) ? NOT_APPLIED_TYPES : TRANSIENT_TYPES;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForBudget();
+
+      try {
+        return await this.send(query, variables);
+      } catch (error) {
+        const delayMs = error.retryAfterMs ?? Math.min(1000 * 2 ** attempt, this.maxRetryDelayMs);
+
+        if (!retryableTypes.includes(error.type) || attempt >= this.maxRetries || delayMs > this.maxRetryDelayMs) {
+          throw error;
+        }
+
+        logger.warn('Monday.com request throttled, retrying', {
+          type: error.type,
+          retryInSeconds: Math.round(delayMs / 1000),
+          error
+        });
+        await this.sleep(delayMs);
+      }
+    }
+  }
+
+  /**
+   * Send a single request and account for its complexity
+   * @param {string} query - GraphQL document
+   * @param {Object} variables - GraphQL variables
+   * @returns {Promise<Object>} - Response data (without the complexity field)
+   */
+  async send(query, variables) {
+    const endTimer = metrics.startApiTimer('monday', /^\s*mutation\b/.test(query) ? 'mutation' : 'query');
+    let response;
+
+    try {
+      response = await axios.post(this.apiUrl,
+        { query: this.withComplexity(query), variables },
+        {
+          headers: {
+            'Authorization': this.apiKey,
+            'API-Version': this.apiVersion,
+            'Content-Type': 'application/json'
+          },
+          timeout: this.timeoutMs
+        }
+      );
+    } catch (error) {
+      const classified = this.classifyHttpError(error);
+      endTimer(classified.type);
+      throw classified;
+    }
+
+    const body = response.data || {};
+
+    if (body.errors?.length || body.error_message || body.error_code) {
+      const classified = this.classifyGraphqlError(body, response.headers);
+      endTimer(classified.type);
+      throw classified;
+    }
+
+    endTimer('success');
+
+    const { complexity, ...data } = body.data || {};
+    this.recordComplexity(complexity);
+
+    return data;
+  }
+
+  /**
+   * Add the complexity field to the selection of a query or mutation
+   * @param {string} query - GraphQL document
+   * @returns {string}
+   */
+  withComplexity(query) {
+    return query.replace(/^(\s*(?:(?:query|mutation)\b[^{]*)?)\{/, `$1{ ${COMPLEXITY_FIELD} `);
+  }
+
+  /**
+   * Update the complexity budget from a response
+   * @param {Object} complexity - { query, before, after, reset_in_x_seconds }
+   */
+  recordComplexity(complexity) {
+    this.budget.requests++;
+    if (!complexity) return;
+
+    this.budget.complexityUsed += complexity.query || 0;
+    this.budget.lastQueryCost = complexity.query;
+    this.budget.remaining = complexity.after;
+    this.budget.resetAt = new Date(Date.now() + (complexity.reset_in_x_seconds || 0) * 1000).toISOString();
+  }
+
+  /**
+   * Wait for the budget to reset when the last known budget can't pay for another query like the last one
+   */
+  async waitForBudget() {
+    const { remaining, lastQueryCost, resetAt } = this.budget;
+    if (remaining == null || lastQueryCost == null || remaining >= lastQueryCost) return;
+
+    const waitMs = new Date(resetAt).getTime() - Date.now();
+    if (waitMs <= 0) return;
+
+    logger.warn('Monday.com complexity budget low, waiting for reset', {
+      remaining,
+      waitSeconds: Math.ceil(waitMs / 1000)
+    });
+    await this.sleep(Math.min(waitMs, this.maxRetryDelayMs));
+    this.budget.remaining = null;
+  }
+
+  /**
+   * Classify a failed HTTP request (non-2xx status or no response)
+   * @param {Error} error - Axios error
+   * @returns {Error}
+   */
+  classifyHttpError(error) {
+    if (!error.response) {
+      return this.createError(`Monday.com request failed: ${error.message}`, {
+        type: 'network',
+        code: error.code || null
+      });
+    }
+
+    const { status, data = {}, headers } = error.response;
+
+    // Newer API versions answer GraphQL errors with 4xx/5xx statuses
+    if (data.errors?.length || data.error_message || data.error_code) {
+      return this.classifyGraphqlError(data, headers, status);
+    }
+
+    return this.createError(`Monday.com API Error: HTTP ${status}`, {
+      type: this.typeForStatus(status),
+      status,
+      retryAfterMs: this.parseRetryAfter(headers)
+    });
+  }
+
+  /**
+   * Classify a GraphQL error response
+   * @param {Object} body - Response body
+   * @param {Object} headers - Response headers
+   * @param {number} status - HTTP status
+   * @returns {Error}
+   */
+  classifyGraphqlError(body, headers = {}, status = 200) {
+    const first = body.errors?.[0] || {};
+    const code = first.extensions?.code || body.error_code || null;
+    const message = body.errors?.length
+      ? body.errors.map(error => error.message).join('; ')
+      : body.error_message || 'Unknown error';
+
+    const type = Object.keys(ERROR_TYPES).find(key => ERROR_TYPES[key].includes(code)) ||
+                 (status !== 200 ? this.typeForStatus(status) : 'validation');
+
+    const retryInSeconds = first.extensions?.retry_in_seconds ??
+                           body.error_data?.retry_in_seconds ??
+                           this.parseResetSeconds(message);
+
+    return this.createError(`Monday.com API Error: ${message}`, {
+      type,
+      code,
+      status,
+      retryAfterMs: retryInSeconds != null ? retryInSeconds * 1000 : this.parseRetryAfter(headers)
+    });
+  }
+
+  /**
+   * Error type for an HTTP status
+   * @param {number} status - HTTP status
+   * @returns {string}
+   */
+  typeForStatus(status) {
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 404) return 'not_found';
+    if (status === 429) return 'rate_limit';
+    if (status >= 500) return 'upstream';
+    return 'validation';
+  }
+
+  /**
+   * Delay from a Retry-After header
+   * @param {Object} headers - Response headers
+   * @returns {number|null} - Milliseconds
+   */
+  parseRetryAfter(headers = {}) {
+    const value = headers['retry-after'];
+    if (value == null) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+
+    const date = new Date(value).getTime();
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+  }
+
+  /**
+   * Reset delay from a complexity error message ("... reset in 15 seconds")
+   * @param {string} message - Error message
+   * @returns {number|null} - Seconds
+   */
+  parseResetSeconds(message) {
+    const match = /reset in (\d+) seconds?/i.exec(message);
+    return match ? Number(match[1]) : null;
+  }
+
+  /**
+   * Create a classified API error
+   * @param {string} message - Error message
+   * @param {Object} fields - type, code, status, retryAfterMs
+   * @returns {Error}
+   */
+  createError(message, fields) {
+    const error = new Error(message);
+    error.name = 'MondayApiError';
+    Object.assign(error, {
+      code: null,
+      status: null,
+      retryAfterMs: null,
+      ...fields,
+      transient: TRANSIENT_TYPES.includes(fields.type)
+    });
+    return error;
+  }
+
+  /**
+   * Complexity budget and request counters
+   * @returns {Object}
+   */
+  stats() {
+    return { apiVersion: this.apiVersion, ...this.budget };
+  }
+
+  /**
+   * Wait for a delay
+   * @param {number} ms - Milliseconds
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = MondayClient;
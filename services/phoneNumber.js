@@ -0,0 +1,248 @@
+/**
+ * Phone Number Service
+ * Normalizes phone numbers to E.164, validates them with per-country rules
+ * and classifies them as mobile or landline
+ */
+
+// Valid Brazilian area codes (DDD)
+const BRAZIL_DDDS = new Set([
+  11, 12, 13, 14, 15, 16, 17, 18, 19, 21, 22, 24, 27, 28,
+  31, 32, 33, 34, 35, 37, 38, 41, 42, 43, 44, 45, 46, 47, 48, 49,
+  51, 53, 54, 55, 61, 62, 63, 64, 65, 66, 67, 68, 69,
+  71, 73, 74, 75, 77, 79, 81, 82, 83, 84, 85, 86, 87, 88, 89,
+  91, 92, 93, 94, 95, 96, 97, 98, 99
+]);
+
+/**
+ * Per-country rules
+ * `national` validates and classifies the national significant number (no trunk prefix)
+ * and may return a corrected number
+ */
+const COUNTRIES = {
+  BR: {
+    code: '55',
+    trunkPrefix: /^0(\d{2})?(?=\d{10,11}$)/,
+    national(number) {
+      if (number.length !== 10 && number.length !== 11) {
+        return { reason: 'Brazilian numbers must have 10 or 11 digits with area code' };
+      }
+      
+      const ddd = parseInt(number.slice(0, 2), 10);
+      if (!BRAZIL_DDDS.has(ddd)) {
+        return { reason: `Invalid Brazilian area code ${number.slice(0, 2)}` };
+      }
+      
+      const subscriber = number.slice(2);
+      
+      if (subscriber.length === 9) {
+        return subscriber.startsWith('9')
+          ? { number, type: 'mobile' }
+          : { reason: '9-digit Brazilian numbers must be mobiles starting with 9' };
+      }
+      
+      if (/^[2-5]/.test(subscriber)) {
+        return { number, type: 'landline' };
+      }
+      
+      // Old 8-digit mobile format: add the 9th digit
+      if (/^[6-9]/.test(subscriber)) {
+        return { number: `${number.slice(0, 2)}9${subscriber}`, type: 'mobile' };
+      }
+      
+      return { reason: 'Invalid Brazilian subscriber number' };
+    }
+  },
+  US: {
+    code: '1',
+    trunkPrefix: /^1(?=\d{10}$)/,
+    national(number) {
+      return /^[2-9]\d{2}[2-9]\d{6}$/.test(number)
+        ? { number, type: 'unknown' }
+        : { reason: 'North American numbers must have 10 digits (NPA-NXX-XXXX)' };
+    }
+  },
+  PT: {
+    code: '351',
+    national(number) {
+      if (!/^\d{9}$/.test(number)) return { reason: 'Portuguese numbers must have 9 digits' };
+      if (/^9[1236]/.test(number)) return { number, type: 'mobile' };
+      if (/^2/.test(number)) return { number, type: 'landline' };
+      return { number, type: 'unknown' };
+    }
+  },
+  ES: {
+    code: '34',
+    national(number) {
+      if (!/^[6-9]\d{8}$/.test(number)) return { reason: 'Spanish numbers must have 9 digits starting with 6-9' };
+      return { number, type: /^[67]/.test(number) ? 'mobile' : 'landline' };
+    }
+  },
+  MX: {
+    code: '52',
+    national(number) {
+      return /^\d{10}$/.test(number)
+        ? { number, type: 'unknown' }
+        : { reason: 'Mexican numbers must have 10 digits' };
+    }
+  },
+  AR: {
+    code: '54',
+    trunkPrefix: /^0(?=\d{10}$)/,
+    national(number) {
+      if (/^9\d{10}$/.test(number)) return { number, type: 'mobile' };
+      if (/^\d{10}$/.test(number)) return { number, type: 'landline' };
+      return { reason: 'Argentine numbers must have 10 digits (mobiles prefixed with 9)' };
+    }
+  }
+};
+
+// E.164 limits for countries without specific rules
+const MIN_E164_DIGITS = 8;
+const MAX_E164_DIGITS = 15;
+
+class PhoneNumberService {
+  
+  constructor() {
+    this.defaultCountry = (process.env.DEFAULT_PHONE_COUNTRY || 'BR').toUpperCase();
+    this.allowedTypes = (process.env.PHONE_ALLOWED_TYPES || 'mobile,landline,unknown')
+      .split(',')
+      .map(type => type.trim())
+      .filter(Boolean);
+    
+    if (!COUNTRIES[this.defaultCountry]) {
+      throw new Error(`Unsupported DEFAULT_PHONE_COUNTRY: ${this.defaultCountry}`);
+    }
+  }
+  
+  /**
+   * Normalize and validate a phone number
+   * @param {string|Object} phoneData - Phone text or Monday.com column value
+   * @param {Object} options - defaultCountry
+   * @returns {Object} - { valid, e164, country, type, extension, input, reason }
+   */
+  normalize(phoneData, options = {}) {
+    const input = this.extractText(phoneData);
+    const columnCountry = phoneData?.countryShortName?.toUpperCase();
+    if (!options.defaultCountry && COUNTRIES[columnCountry]) {
+      options = { ...options, defaultCountry: columnCountry };
+    }
+
+    const result = { valid: false, e164: null, country: null, type: null, extension: null, input, reason: null };
+    
+    if (!input || !input.trim()) {
+      return { ...result, reason: 'Phone number is empty' };
+    }
+    
+    // Extensions are not dialable by the agent, keep them for reference
+    const [main, extension] = input.split(/\s*(?:;ext=|ext\.?|ramal|x|#)\s*/i);
+    result.extension = extension ? extension.replace(/\D/g, '') || null : null;
+    
+    let digits = main.replace(/[^\d+]/g, '');
+    if (digits.startsWith('00')) {
+      digits = '+' + digits.slice(2);
+    }
+    
+    if (digits.indexOf('+') > 0 || (digits.match(/\+/g) || []).length > 1) {
+      return { ...result, reason: 'Misplaced + sign' };
+    }
+    
+    const international = digits.startsWith('+');
+    let countryKey;
+    let national;
+    
+    if (international) {
+      digits = digits.slice(1);
+      countryKey = this.findCountry(digits);
+      
+      if (!countryKey) {
+        if (digits.length < MIN_E164_DIGITS || digits.length > MAX_E164_DIGITS) {
+          return { ...result, reason: `International numbers must have ${MIN_E164_DIGITS}-${MAX_E164_DIGITS} digits` };
+        }
+        return { ...result, valid: this.isAllowedType('unknown'), e164: `+${digits}`, type: 'unknown', reason: this.typeReason('unknown') };
+      }
+      
+      national = digits.slice(COUNTRIES[countryKey].code.length);
+    } else {
+      countryKey = (options.defaultCountry || this.defaultCountry).toUpperCase();
+      const country = COUNTRIES[countryKey];
+      
+      if (!country) {
+        return { ...result, reason: `Unsupported country ${countryKey}` };
+      }
+      
+      national = country.trunkPrefix ? digits.replace(country.trunkPrefix, '') : digits;
+    }
+    
+    const country = COUNTRIES[countryKey];
+    let check = country.national(national);
+    result.country = countryKey;
+    
+    // Numbers stored without + but with the country code (Monday.com phone columns: "5511987654321")
+    if (check.reason && !international && national.startsWith(country.code)) {
+      const withoutCode = country.national(national.slice(country.code.length));
+      if (!withoutCode.reason) check = withoutCode;
+    }
+    
+    if (check.reason) {
+      return { ...result, reason: check.reason };
+    }
+    
+    return {
+      ...result,
+      valid: this.isAllowedType(check.type),
+      e164: `+${country.code}${check.number}`,
+      type: check.type,
+      reason: this.typeReason(check.type)
+    };
+  }
+  
+  /**
+   * Normalize a phone number, returning only the E.164 form
+   * @param {string|Object} phoneData - Phone text or Monday.com column value
+   * @returns {string|null} - E.164 phone or null if invalid
+   */
+  toE164(phoneData) {
+    const result = this.normalize(phoneData);
+    return result.valid ? result.e164 : null;
+  }
+  
+  /**
+   * Country with rules matching an international number
+   * @param {string} digits - Digits after +
+   * @returns {string|null} - Country key
+   */
+  findCountry(digits) {
+    return Object.keys(COUNTRIES)
+      .sort((a, b) => COUNTRIES[b].code.length - COUNTRIES[a].code.length)
+      .find(key => digits.startsWith(COUNTRIES[key].code)) || null;
+  }
+  
+  /**
+   * Text of a phone value (string or Monday.com column value)
+   * @param {string|Object} phoneData - Phone data
+   * @returns {string}
+   */
+  extractText(phoneData) {
+    if (phoneData == null) return '';
+    if (typeof phoneData === 'string' || typeof phoneData === 'number') return String(phoneData);
+    return String(phoneData.phone || phoneData.text || phoneData.value || '');
+  }
+  
+  /**
+   * @param {string} type - mobile, landline or unknown
+   * @returns {boolean}
+   */
+  isAllowedType(type) {
+    return this.allowedTypes.includes(type);
+  }
+  
+  /**
+   * @param {string} type - mobile, landline or unknown
+   * @returns {string|null} - Rejection reason when the type is not allowed
+   */
+  typeReason(type) {
+    return this.isAllowedType(type) ? null : `Phone type ${type} is not allowed`;
+  }
+}
+
+module.exports = new PhoneNumberService();
@@ -0,0 +1,141 @@
+/**
+ * Post-Call Processor
+ * Applies the outcome of a finished call: call ledger, transcript, opt-outs, Monday.com write-back and redials
+ */
+
+const mondayService = require('./monday');
+const callLedger = require('./callLedger');
+const callDispatcher = require('./callDispatcher');
+const suppressionList = require('./suppressionList');
+const boardConfig = require('./boardConfig');
+const redialPolicy = require('./redialPolicy');
+const callTranscripts = require('./callTranscripts');
+const dataCollectionMapper = require('./dataCollectionMapper');
+const callScheduler = require('./callScheduler');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+class PostCallProcessor {
+  
+  /**
+   * Process a parsed post-call outcome
+   * @param {Object} outcome - Parsed post-call data (see ElevenLabsService.parsePostCallWebhook)
+   * @returns {Promise<Object>} - { callRecord, duplicate, optedOut, redial, mondayUpdate, mondayError }
+   */
+  async process(outcome) {
+    // Already applied (webhook retried, or the reconciler got there first)
+    const existing = callLedger.findByConversationId(outcome.conversationId);
+    if (existing?.outcome) {
+      logger.info('Outcome already recorded for conversation', { callRecordId: existing.id });
+      return { callRecord: existing, duplicate: true, optedOut: false, redial: null, mondayUpdate: null, mondayError: null };
+    }
+    
+    // Link the conversation to the recorded call
+    const callRecord = callLedger.recordOutcome(outcome);
+    if (callRecord) {
+      logger.bind({
+        correlationId: callRecord.correlationId,
+        itemId: callRecord.itemId,
+        boardId: callRecord.boardId,
+        callRecordId: callRecord.id
+      });
+      outcome.itemId = callRecord.itemId || outcome.itemId;
+      outcome.boardId = callRecord.boardId || outcome.boardId;
+      callTranscripts.save(outcome, callRecord);
+    }
+    
+    metrics.postCallOutcome(outcome, redialPolicy.classify(outcome));
+    
+    const optedOut = await this.handleOptOut(outcome, callRecord);
+    
+    // Write the call outcome to the Monday.com item
+    let mondayUpdate = null;
+    let mondayError = null;
+    
+    try {
+      // Dates and times said during the call are in the lead's timezone
+      const timezone = callRecord?.timezone || callScheduler.getPhoneTimezone(callRecord?.phone || outcome.phone);
+      const { columnValues, skipped } = await dataCollectionMapper.toColumnValues(outcome, { timezone });
+      mondayUpdate = await mondayService.writeCallOutcome(outcome, columnValues);
+      mondayUpdate.skippedDataCollection = skipped;
+    } catch (error) {
+      logger.error('Error writing call outcome to Monday.com', { error });
+      mondayError = error.message;
+    }
+    
+    const redial = optedOut ? null : await this.handleRedial(outcome, callRecord);
+    
+    return { callRecord, duplicate: false, optedOut, redial, mondayUpdate, mondayError };
+  }
+  
+  /**
+   * Suppress the number when the person asked not to be contacted again
+   * @param {Object} outcome - Parsed post-call data
+   * @param {Object|null} callRecord - Call ledger record
+   * @returns {Promise<boolean>} - Whether the number was suppressed
+   */
+  async handleOptOut(outcome, callRecord) {
+    // The number actually dialed (a sandbox test number may stand in for the lead)
+    const phone = callRecord?.dialedPhone || callRecord?.phone || outcome.phone;
+    if (!phone || !suppressionList.isOptOut(outcome)) return false;
+    
+    try {
+      suppressionList.add(phone, {
+        reason: 'Opted out during call',
+        source: 'post-call',
+        itemId: outcome.itemId
+      });
+      
+      const dncColumn = boardConfig.getColumnMapping(outcome.boardId)?.doNotCall;
+      if (dncColumn && outcome.itemId) {
+        await mondayService.updateColumnValues(outcome.boardId, outcome.itemId, {
+          [dncColumn]: { checked: 'true' }
+        });
+      }
+      
+      return true;
+    } catch (error) {
+      logger.error('Error registering opt-out', { error });
+      return false;
+    }
+  }
+  
+  /**
+   * Apply the redial policy to an unanswered call
+   * @param {Object} outcome - Parsed post-call data
+   * @param {Object|null} callRecord - Call ledger record
+   * @returns {Promise<Object|null>} - Redial decision
+   */
+  async handleRedial(outcome, callRecord) {
+    // Manual test calls are never redialed
+    if (!callRecord || callRecord.source === 'manual-test') return null;
+    
+    const decision = redialPolicy.decide(callRecord, outcome);
+    logger.info('Redial decision', { decision });
+    
+    if (decision.action === 'redial') {
+      const { callRecord: nextRecord } = await callDispatcher.scheduleRedial(callRecord, decision.runAt);
+      decision.nextCallRecordId = nextRecord.id;
+    }
+    
+    // Giving up sticks: exhausted items are refused by the cooldown, whatever triggers them next
+    callLedger.update(
+      callRecord.id,
+      decision.action === 'give_up' ? 'exhausted' : null,
+      { connection: decision.connection, redial: decision },
+      decision.action === 'give_up' ? { reason: decision.reason } : null
+    );
+    
+    if (decision.action === 'give_up' && outcome.itemId && outcome.boardId) {
+      try {
+        await mondayService.writeFinalStatus(outcome, redialPolicy.finalStatus, decision.reason);
+      } catch (error) {
+        logger.error('Error writing final status to Monday.com', { error });
+      }
+    }
+    
+    return decision;
+  }
+}
+
+module.exports = new PostCallProcessor();
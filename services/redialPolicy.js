@@ -0,0 +1,94 @@
+/**
+ * Redial Policy
+ * Decides whether an unanswered call is dialed again, and when
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+class RedialPolicy {
+  
+  constructor() {
+    const configPath = process.env.REDIAL_CONFIG ||
+                       path.join(__dirname, '..', 'config', 'redial.json');
+    this.config = this.loadConfig(configPath);
+  }
+  
+  /**
+   * Load the redial policy
+   * @param {string} configPath - JSON file path
+   * @returns {Object} - Policy (no redials when the file does not exist)
+   */
+  loadConfig(configPath) {
+    if (!fs.existsSync(configPath)) {
+      logger.warn('Redial config not found, unanswered calls are not redialed', { file: configPath });
+      return { maxAttempts: 1, outcomes: {}, finalStatus: null };
+    }
+    
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return {
+      maxAttempts: config.maxAttempts || 1,
+      outcomes: config.outcomes || {},
+      finalStatus: config.finalStatus || null
+    };
+  }
+  
+  /**
+   * Classify how a call connected
+   * @param {Object} outcome - Parsed post-call data
+   * @returns {string} - answered, busy, no_answer, voicemail or failed
+   */
+  classify(outcome) {
+    const failure = String(outcome.failureReason || '').toLowerCase().replace(/[-\s]/g, '_');
+    
+    if (failure === 'busy') return 'busy';
+    if (failure === 'no_answer') return 'no_answer';
+    if (/voicemail/i.test(outcome.terminationReason || '')) return 'voicemail';
+    if (failure || outcome.status === 'failed') return 'failed';
+    
+    return 'answered';
+  }
+  
+  /**
+   * Decide what happens after a call
+   * @param {Object} callRecord - Call ledger record (with `attempt`)
+   * @param {Object} outcome - Parsed post-call data
+   * @returns {Object} - { connection, action: 'none' | 'redial' | 'give_up', attempt, maxAttempts, runAt, reason }
+   */
+  decide(callRecord, outcome) {
+    const connection = this.classify(outcome);
+    const attempt = callRecord?.attempt || 1;
+    const rule = this.config.outcomes[connection];
+    const maxAttempts = rule?.maxAttempts || this.config.maxAttempts;
+    const decision = { connection, attempt, maxAttempts, runAt: null, reason: null };
+    
+    if (connection === 'answered') {
+      return { ...decision, action: 'none' };
+    }
+    
+    if (!rule || !rule.retry) {
+      return { ...decision, action: 'give_up', reason: `No redial for ${connection}` };
+    }
+    
+    if (attempt >= maxAttempts) {
+      return { ...decision, action: 'give_up', reason: `${connection} after ${attempt} attempt(s)` };
+    }
+    
+    return {
+      ...decision,
+      action: 'redial',
+      runAt: new Date(Date.now() + (rule.delayMinutes || 0) * 60 * 1000)
+    };
+  }
+  
+  /**
+   * Status label written to the lead when giving up
+   * @returns {string|null}
+   */
+  get finalStatus() {
+    return this.config.finalStatus;
+  }
+}
+
+module.exports = new RedialPolicy();
@@ -0,0 +1,174 @@
+/**
+ * Suppression List
+ * Do-not-call numbers and the audit trail of every blocked call attempt
+ */
+
+const fs = require('fs');
+const path = require('path');
+const JsonStore = require('./jsonStore');
+const phoneNumber = require('./phoneNumber');
+const logger = require('./logger');
+
+// Recent audit entries kept in the store; older ones are moved to the archive file
+const MAX_AUDIT_ENTRIES = 5000;
+
+class SuppressionList {
+  
+  constructor() {
+    this.store = new JsonStore('suppression.json', { numbers: {}, audit: [] });
+    this.archivePath = path.join(path.dirname(this.store.filePath), 'suppression-audit.jsonl');
+  }
+  
+  /**
+   * Normalize a phone so lookups match regardless of formatting
+   * @param {string} phone - Phone number
+   * @returns {string|null} - E.164 phone
+   */
+  key(phone) {
+    return phoneNumber.normalize(phone).e164;
+  }
+  
+  /**
+   * Add a number to the do-not-call list
+   * @param {string} phone - Phone number
+   * @param {Object} details - reason, source, itemId
+   * @returns {Object} - Suppression entry
+   */
+  add(phone, details = {}) {
+    const key = this.key(phone);
+    if (!key) {
+      throw new Error(`Invalid phone number: ${phone}`);
+    }
+    
+    const entry = {
+      phone: key,
+      reason: details.reason || null,
+      source: details.source || 'manual',
+      itemId: details.itemId != null ? String(details.itemId) : null,
+      addedAt: new Date().toISOString()
+    };
+    
+    this.store.data.numbers[key] = entry;
+    this.store.save();
+    
+    logger.info('Number added to do-not-call list', { phone: key, source: entry.source });
+    return entry;
+  }
+  
+  /**
+   * Remove a number from the do-not-call list
+   * @param {string} phone - Phone number
+   * @returns {boolean} - False if the number was not listed
+   */
+  remove(phone) {
+    const key = this.key(phone);
+    if (!key || !this.store.data.numbers[key]) return false;
+    
+    delete this.store.data.numbers[key];
+    this.store.save();
+    
+    logger.info('Number removed from do-not-call list', { phone: key });
+    return true;
+  }
+  
+  /**
+   * Suppression entry of a number
+   * @param {string} phone - Phone number
+   * @returns {Object|null}
+   */
+  get(phone) {
+    const key = this.key(phone);
+    return key ? this.store.data.numbers[key] || null : null;
+  }
+  
+  /**
+   * All suppressed numbers
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Object.values(this.store.data.numbers);
+  }
+  
+  /**
+   * Whether a post-call outcome says the person asked not to be contacted again
+   * Reads the data-collection field named by OPT_OUT_DATA_KEY (default `opt_out`)
+   * @param {Object} outcome - Parsed post-call data
+   * @returns {boolean}
+   */
+  isOptOut(outcome) {
+    const key = process.env.OPT_OUT_DATA_KEY || 'opt_out';
+    const value = outcome.dataCollection?.[key];
+    
+    if (value === true) return true;
+    return ['true', 'yes', 'sim', '1'].includes(String(value ?? '').trim().toLowerCase());
+  }
+  
+  /**
+   * Record a blocked call attempt
+   * @param {Object} leadData - Lead data
+   * @param {string} reason - Why the call was blocked
+   * @returns {Object} - Audit entry
+   */
+  recordBlocked(leadData, reason) {
+    const entry = {
+      at: new Date().toISOString(),
+      phone: leadData.phone || null,
+      itemId: leadData.id != null ? String(leadData.id) : null,
+      boardId: leadData.boardId != null ? String(leadData.boardId) : null,
+      source: leadData.source || null,
+      reason
+    };
+    
+    this.store.data.audit.push(entry);
+    if (this.store.data.audit.length > MAX_AUDIT_ENTRIES) {
+      this.archive(this.store.data.audit.splice(0, this.store.data.audit.length - MAX_AUDIT_ENTRIES));
+    }
+    this.store.save();
+    
+    logger.info('Call blocked', { entry });
+    return entry;
+  }
+  
+  /**
+   * Append audit entries to the archive file (JSON Lines, never truncated)
+   * @param {Array<Object>} entries - Oldest audit entries
+   */
+  archive(entries) {
+    fs.mkdirSync(path.dirname(this.archivePath), { recursive: true });
+    fs.appendFileSync(this.archivePath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+  }
+  
+  /**
+   * Archived audit entries, oldest first
+   * @returns {Array<Object>}
+   */
+  archivedEntries() {
+    if (!fs.existsSync(this.archivePath)) return [];
+    
+    return fs.readFileSync(this.archivePath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+  }
+  
+  /**
+   * Blocked attempts, newest first
+   * The archive is only read when the recent entries don't fill the limit
+   * @param {Object} filters - phone, itemId, limit
+   * @returns {Array<Object>}
+   */
+  auditTrail({ phone, itemId, limit = 100 } = {}) {
+    const key = phone ? this.key(phone) : null;
+    const matches = entries => entries
+      .filter(entry => !key || entry.phone === key)
+      .filter(entry => itemId == null || entry.itemId === String(itemId))
+      .reverse();
+    
+    const recent = matches(this.store.data.audit.slice());
+    if (recent.length >= limit) return recent.slice(0, limit);
+    
+    return [...recent, ...matches(this.archivedEntries())].slice(0, limit);
+  }
+}
+
+module.exports = new SuppressionList();
@@ -0,0 +1,228 @@
+/**
+ * Trigger Rules Engine
+ * Decides whether a Monday.com event should start a call, based on per-board rules
+ */
+
+const boardConfig = require('./boardConfig');
+const logger = require('./logger');
+
+// Behaviour when a board defines no rules: any creation or column change calls
+const DEFAULT_RULES = [
+  { name: 'default', events: ['create_pulse', 'change_column_value', 'update_column_value'] }
+];
+
+// Comparisons a column condition may use
+const COLUMN_OPERATORS = ['changedTo', 'equals', 'notEquals', 'in', 'isEmpty', 'checked'];
+
+class TriggerRules {
+  
+  /**
+   * Check the trigger rules of every board and of `defaults`
+   * Run at startup: an invalid rule would otherwise fail every webhook of its board
+   * @returns {Array<string>} - Problems found (empty when valid)
+   */
+  validate() {
+    const sources = [
+      ['defaults', boardConfig.defaults.triggers],
+      ...Object.entries(boardConfig.boards).map(([boardId, board]) => [`board ${boardId}`, board.triggers])
+    ];
+    const problems = [];
+    
+    sources.filter(([, rules]) => rules !== undefined).forEach(([source, rules]) => {
+      if (!Array.isArray(rules)) {
+        problems.push(`Trigger rules of ${source} must be a list`);
+        return;
+      }
+      
+      rules.forEach((rule, index) => {
+        const name = `${source}, rule ${rule.name || `#${index}`}`;
+        
+        if (rule.action !== undefined && !['call', 'skip'].includes(rule.action)) {
+          problems.push(`Trigger rule ${name} has an invalid action "${rule.action}" (use call or skip)`);
+        }
+        if (rule.events !== undefined && !Array.isArray(rule.events)) {
+          problems.push(`Trigger rule ${name} must list its events`);
+        }
+        if (rule.conditions !== undefined && !Array.isArray(rule.conditions)) {
+          problems.push(`Trigger rule ${name} must list its conditions`);
+          return;
+        }
+        
+        (rule.conditions || []).forEach(condition => {
+          const problem = this.conditionProblem(condition);
+          if (problem) problems.push(`Trigger rule ${name}: ${problem}`);
+        });
+      });
+    });
+    
+    return problems;
+  }
+  
+  /**
+   * Why a condition can't be evaluated
+   * @param {Object} condition - Condition
+   * @returns {string|null} - Problem, or null when valid
+   */
+  conditionProblem(condition) {
+    if (!condition || typeof condition !== 'object') {
+      return `invalid condition ${JSON.stringify(condition)}`;
+    }
+    if (condition.group !== undefined) return null;
+    
+    if (!condition.column) {
+      return `condition ${JSON.stringify(condition)} needs a group or a column`;
+    }
+    
+    const operator = COLUMN_OPERATORS.find(candidate => condition[candidate] !== undefined);
+    if (!operator) {
+      return `condition on column ${condition.column} needs one of ${COLUMN_OPERATORS.join(', ')}`;
+    }
+    if (operator === 'in' && !Array.isArray(condition.in)) {
+      return `"in" of column ${condition.column} must be a list`;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Rules of a board, `skip` rules first
+   * @param {string|number} boardId - Board ID
+   * @returns {Array<Object>}
+   */
+  getRules(boardId) {
+    const rules = boardConfig.getTriggers(boardId) || DEFAULT_RULES;
+    return [
+      ...rules.filter(rule => rule.action === 'skip'),
+      ...rules.filter(rule => rule.action !== 'skip')
+    ];
+  }
+  
+  /**
+   * Evaluate the rules of the lead's board
+   * @param {Object} leadData - Lead data (with event info and fetched item data)
+   * @returns {Object} - { shouldCall, rule, reason }
+   */
+  evaluate(leadData) {
+    const rules = this.getRules(leadData.boardId);
+    
+    for (const rule of rules) {
+      if (!this.matches(rule, leadData)) continue;
+      
+      if (rule.action === 'skip') {
+        logger.info('Trigger rule blocked the call', { rule: rule.name });
+        return { shouldCall: false, rule: rule.name, reason: 'blocked_by_rule' };
+      }
+      
+      logger.info('Trigger rule matched', { rule: rule.name });
+      return { shouldCall: true, rule: rule.name, reason: null };
+    }
+    
+    logger.info('No trigger rule matched the event', { eventType: leadData.eventType });
+    return { shouldCall: false, rule: null, reason: 'no_rule_matched' };
+  }
+  
+  /**
+   * First `skip` rule whose conditions hold for a lead, whatever the event types it lists
+   * Used outside webhooks (campaigns), where there is no event to match
+   * @param {Object} leadData - Lead data (with fetched item data)
+   * @returns {Object|null} - Matching rule
+   */
+  findSkipRule(leadData) {
+    return this.getRules(leadData.boardId)
+      .filter(rule => rule.action === 'skip')
+      .find(rule => (rule.conditions || []).every(condition => this.checkCondition(condition, leadData))) || null;
+  }
+  
+  /**
+   * Whether a rule matches an event
+   * @param {Object} rule - Rule ({ name, events, conditions, action })
+   * @param {Object} leadData - Lead data
+   * @returns {boolean}
+   */
+  matches(rule, leadData) {
+    if (rule.events && !rule.events.includes(leadData.eventType)) {
+      return false;
+    }
+    
+    return (rule.conditions || []).every(condition => this.checkCondition(condition, leadData));
+  }
+  
+  /**
+   * Check a single condition
+   * @param {Object} condition - Condition
+   * @param {Object} leadData - Lead data
+   * @returns {boolean}
+   */
+  checkCondition(condition, leadData) {
+    if (condition.group !== undefined) {
+      const group = leadData.group || {};
+      const expected = String(condition.group).toLowerCase();
+      return [group.id, group.title].some(value => value && String(value).toLowerCase() === expected);
+    }
+    
+    if (!condition.column) {
+      throw new Error(`Invalid trigger condition: ${JSON.stringify(condition)}`);
+    }
+    
+    const isChangedColumn = leadData.columnId === condition.column;
+    
+    if (condition.changedTo !== undefined) {
+      return isChangedColumn && this.equalsText(this.valueText(leadData.columnValue), condition.changedTo);
+    }
+    
+    // Value from the webhook when this column just changed, otherwise from the fetched item
+    const value = isChangedColumn && leadData.columnValue !== undefined
+      ? this.valueText(leadData.columnValue)
+      : this.valueText(leadData.mcpData?.columns?.[condition.column]);
+    
+    if (condition.equals !== undefined) return this.equalsText(value, condition.equals);
+    if (condition.notEquals !== undefined) return !this.equalsText(value, condition.notEquals);
+    if (condition.in !== undefined) return condition.in.some(expected => this.equalsText(value, expected));
+    if (condition.isEmpty !== undefined) return this.isEmpty(value) === condition.isEmpty;
+    if (condition.checked !== undefined) return this.isChecked(value) === condition.checked;
+    
+    throw new Error(`Invalid trigger condition: ${JSON.stringify(condition)}`);
+  }
+  
+  /**
+   * Text of a column value from a webhook (status, checkbox, text...) or item data
+   * @param {*} value - Column value
+   * @returns {string|null}
+   */
+  valueText(value) {
+    if (value == null) return null;
+    if (typeof value !== 'object') return String(value);
+    
+    if (value.label) return value.label.text ?? String(value.label);
+    if (value.checked !== undefined) return String(value.checked);
+    if (value.text !== undefined) return value.text;
+    if (value.value !== undefined) return this.valueText(value.value);
+    
+    return JSON.stringify(value);
+  }
+  
+  /**
+   * Case-insensitive comparison of column texts
+   * @returns {boolean}
+   */
+  equalsText(value, expected) {
+    return value != null && value.trim().toLowerCase() === String(expected).trim().toLowerCase();
+  }
+  
+  /**
+   * @returns {boolean}
+   */
+  isEmpty(value) {
+    return value == null || value.trim() === '';
+  }
+  
+  /**
+   * Checkbox state: "v" in item data, "true" in webhook values
+   * @returns {boolean}
+   */
+  isChecked(value) {
+    return ['v', 'true', '{"checked":"true"}'].includes((value || '').trim().toLowerCase());
+  }
+}
+
+module.exports = new TriggerRules();
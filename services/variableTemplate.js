@@ -0,0 +1,138 @@
+/**
+ * Dynamic Variable Template
+ * Builds the ElevenLabs dynamic variables of a lead from a configurable template
+ */
+
+const boardConfig = require('./boardConfig');
+
+// Used when neither the board nor the config defaults define a template
+const DEFAULT_TEMPLATE = {
+  customer_name: { source: 'name', default: 'Customer' },
+  company_name: { column: 'lead_company', source: 'company', default: 'your restaurant' }
+};
+
+const TRANSFORMS = {
+  firstName: value => String(value).trim().split(/\s+/)[0],
+  lastName: value => String(value).trim().split(/\s+/).slice(-1)[0],
+  upper: value => String(value).toUpperCase(),
+  lower: value => String(value).toLowerCase(),
+  capitalize: value => String(value).toLowerCase().replace(/(^|\s)\S/g, letter => letter.toUpperCase())
+};
+
+class VariableTemplate {
+  
+  /**
+   * Template of a board
+   * @param {string|number} boardId - Board ID
+   * @returns {Object} - Variable specs keyed by variable name
+   */
+  getTemplate(boardId) {
+    return boardConfig.getVariables(boardId) || DEFAULT_TEMPLATE;
+  }
+  
+  /**
+   * Build the dynamic variables of a lead
+   * @param {Object} leadData - Lead data
+   * @returns {Object} - { variables, missing } where `missing` lists required variables without value
+   */
+  build(leadData) {
+    const template = this.getTemplate(leadData.boardId);
+    const variables = {};
+    const missing = [];
+    
+    Object.entries(template).forEach(([name, spec]) => {
+      let value = this.coerce(this.transform(this.resolve(leadData, spec), spec), spec);
+      
+      if (value == null && spec.default !== undefined) {
+        value = spec.default;
+      }
+      
+      if (value == null) {
+        if (spec.required) missing.push(name);
+        return;
+      }
+      
+      variables[name] = value;
+    });
+    
+    return { variables, missing };
+  }
+  
+  /**
+   * Find the raw value of a variable: column, then board field, then lead property
+   * @param {Object} leadData - Lead data
+   * @param {Object} spec - Variable spec
+   * @returns {*} - Raw value or null
+   */
+  resolve(leadData, spec) {
+    const candidates = [
+      spec.column ? leadData.mcpData?.columns?.[spec.column] : null,
+      spec.field ? leadData.fields?.[spec.field] : null,
+      spec.source ? leadData[spec.source] : null
+    ];
+    
+    const value = candidates.find(candidate => candidate != null && String(candidate).trim() !== '');
+    return value ?? null;
+  }
+  
+  /**
+   * Apply the spec transform (firstName, lastName, upper, lower, capitalize)
+   * @param {*} value - Raw value
+   * @param {Object} spec - Variable spec
+   * @returns {*}
+   */
+  transform(value, spec) {
+    if (value == null || !spec.transform) return value;
+    
+    const transform = TRANSFORMS[spec.transform];
+    if (!transform) {
+      throw new Error(`Unknown variable transform: ${spec.transform}`);
+    }
+    
+    return transform(value);
+  }
+  
+  /**
+   * Convert a value to the spec type (string, number, boolean, date)
+   * Values that cannot be converted become null so the default applies
+   * @param {*} value - Value
+   * @param {Object} spec - Variable spec
+   * @returns {*}
+   */
+  coerce(value, spec) {
+    if (value == null) return null;
+    
+    switch (spec.type || 'string') {
+      case 'string':
+        return String(value).trim() || null;
+        
+      case 'number': {
+        if (typeof value === 'number') return value;
+        let text = String(value).replace(/[^\d.,-]/g, '');
+        // "1.234,56" (pt-BR) → "1234.56"
+        if (text.includes(',')) text = text.replace(/\./g, '').replace(',', '.');
+        const number = parseFloat(text);
+        return Number.isFinite(number) ? number : null;
+      }
+      
+      case 'boolean': {
+        if (typeof value === 'boolean') return value;
+        const text = String(value).trim().toLowerCase();
+        if (['true', 'v', 'yes', 'sim', '1', 'checked'].includes(text)) return true;
+        if (['false', 'no', 'não', 'nao', '0', ''].includes(text)) return false;
+        return null;
+      }
+      
+      case 'date': {
+        const date = new Date(String(value).trim().replace(' ', 'T').replace(/(T\d{2}:\d{2})$/, '$1:00Z'));
+        if (Number.isNaN(date.getTime())) return null;
+        return date.toLocaleDateString(spec.locale || 'pt-BR', { timeZone: 'UTC' });
+      }
+      
+      default:
+        throw new Error(`Unknown variable type: ${spec.type}`);
+    }
+  }
+}
+
+module.exports = new VariableTemplate();
@@ -0,0 +1,103 @@
+/**
+ * Agent routing: route order, boards, conditions and validation of the routing config
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir } = require('./helpers');
+
+describe('AgentRouter', () => {
+  let tempDir;
+  let agentRouter;
+  
+  before(() => {
+    tempDir = useTempDataDir();
+    
+    Object.assign(process.env, {
+      ELEVENLABS_AGENT_ID: 'agent_default',
+      ELEVENLABS_PHONE_NUMBER_ID: 'phnum_default',
+      ROUTING_CONFIG: path.join(tempDir.dataDir, 'routing.json')
+    });
+    fs.writeFileSync(process.env.ROUTING_CONFIG, JSON.stringify({
+      agents: {
+        spanish: { agentId: 'agent_es', phoneNumberId: 'phnum_es', language: 'es' },
+        markets: { agentId: 'agent_markets', phoneNumberId: 'phnum_br' }
+      },
+      routes: [
+        { name: 'spanish-speaking', agent: 'spanish', conditions: [{ column: 'language', equals: 'Español' }] },
+        { name: 'markets-board', agent: 'markets', boards: ['900'] }
+      ]
+    }));
+    
+    agentRouter = require('../services/agentRouter');
+  });
+  
+  after(() => {
+    ['ELEVENLABS_AGENT_ID', 'ELEVENLABS_PHONE_NUMBER_ID', 'ROUTING_CONFIG'].forEach(name => delete process.env[name]);
+    tempDir.cleanup();
+  });
+  
+  it('picks the first route whose boards and conditions match', () => {
+    const spanish = { boardId: 900, mcpData: { columns: { language: 'español' } } };
+    assert.deepEqual(agentRouter.route(spanish), {
+      route: 'spanish-speaking',
+      agent: 'spanish',
+      agentId: 'agent_es',
+      phoneNumberId: 'phnum_es',
+      language: 'es'
+    });
+    
+    const market = { boardId: 900, mcpData: { columns: { language: 'Português' } } };
+    assert.equal(agentRouter.route(market).agent, 'markets');
+  });
+  
+  it('uses the default profile when no route matches', () => {
+    const routed = agentRouter.route({ boardId: 500, mcpData: null });
+    assert.equal(routed.route, 'default');
+    assert.equal(routed.agentId, 'agent_default');
+    assert.equal(routed.language, null);
+  });
+  
+  it('accepts a valid routing config', () => {
+    assert.deepEqual(agentRouter.validate(), []);
+    assert.deepEqual(agentRouter.validateConditions(), []);
+  });
+  
+  it('reports routes with conditions that cannot be evaluated', () => {
+    const { routes } = agentRouter;
+    
+    agentRouter.routes = [
+      { name: 'no-operator', agent: 'spanish', conditions: [{ column: 'language', is: 'Español' }] },
+      { name: 'not-a-list', agent: 'spanish', conditions: { column: 'language', equals: 'Español' } },
+      { name: 'bad-in', agent: 'markets', boards: '900', conditions: [{ column: 'segment', in: 'Markets' }] }
+    ];
+    try {
+      assert.deepEqual(agentRouter.validateConditions(), [
+        'Route no-operator: condition on column language needs one of changedTo, equals, notEquals, in, isEmpty, checked',
+        'Route not-a-list must list its conditions',
+        'Route bad-in must list its boards',
+        'Route bad-in: "in" of column segment must be a list'
+      ]);
+    } finally {
+      agentRouter.routes = routes;
+    }
+  });
+  
+  it('refuses to start with invalid route conditions, even in dry-run', () => {
+    const callMode = require('../services/callMode');
+    const { routes } = agentRouter;
+    const { mode } = callMode;
+    
+    agentRouter.routes = [{ name: 'broken', agent: 'spanish', conditions: [{ status: 'Hot' }] }];
+    callMode.mode = 'dry-run';
+    try {
+      assert.equal(callMode.validate().length, 1);
+      assert.match(callMode.validate()[0], /Route broken: condition .* needs a group or a column/);
+    } finally {
+      agentRouter.routes = routes;
+      callMode.mode = mode;
+    }
+  });
+});
@@ -0,0 +1,446 @@
+/**
+ * End-to-end call flow: Monday.com webhook → queued call → ElevenLabs post-call → Monday.com write-back
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { API_KEYS, fixture, startEnvironment, postJson, apiGet, sendMondayWebhook, sendPostCall, waitFor } = require('./helpers');
+
+describe('call flow', () => {
+  let env;
+  
+  before(async () => {
+    env = await startEnvironment();
+  });
+  
+  after(async () => {
+    await env.close();
+  });
+  
+  it('answers the Monday.com challenge', async () => {
+    const payload = fixture('monday-challenge.json');
+    const { status, body } = await postJson(`${env.baseUrl}/webhook/monday`, payload);
+    
+    assert.equal(status, 200);
+    assert.equal(body.challenge, payload.challenge);
+  });
+  
+  it('calls the lead, records the outcome and writes it back to the item', async () => {
+    // Monday.com webhook → call queued
+    const webhook = await sendMondayWebhook(env.baseUrl, fixture('monday-event-data.json'), {
+      'X-Request-Id': 'req-flow-1001'
+    });
+    assert.equal(webhook.status, 202);
+    assert.equal(webhook.body.leadId, 1001);
+    
+    // Queue → ElevenLabs outbound call
+    const call = await waitFor(() => env.elevenlabs.calls[0]);
+    assert.equal(call.agent_id, 'agent_mock');
+    assert.equal(call.agent_phone_number_id, 'phnum_mock');
+    assert.equal(call.to_number, '+5511912345678');
+    assert.equal(call.dynamic_variables.customer_name, 'Ana Souza');
+    assert.equal(call.dynamic_variables.company_name, 'Bistrô da Ana');
+    assert.equal(call.dynamic_variables.monday_item_id, '1001');
+    assert.equal(call.dynamic_variables.monday_board_id, '500');
+    assert.equal(call.dynamic_variables.correlation_id, 'req-flow-1001');
+    
+    const callUrl = `${env.baseUrl}/calls/${webhook.body.callRecordId}`;
+    const initiated = await waitFor(async () => {
+      const record = await (await apiGet(callUrl)).json();
+      return record.status === 'initiated' && record;
+    });
+    assert.equal(initiated.conversationId, call.conversationId);
+    assert.equal(initiated.correlationId, 'req-flow-1001');
+    
+    // ElevenLabs post-call webhook → outcome
+    const postCall = fixture('elevenlabs-post-call.json');
+    postCall.data.conversation_id = call.conversationId;
+    
+    const result = await sendPostCall(env.baseUrl, postCall);
+    assert.equal(result.status, 200);
+    assert.equal(result.body.callRecordId, webhook.body.callRecordId);
+    assert.equal(result.body.mondayUpdated, true);
+    assert.equal(result.body.mondayError, null);
+    
+    // Monday.com write-back
+    assert.equal(env.monday.columnUpdates.length, 1);
+    const { itemId, boardId, columnValues } = env.monday.columnUpdates[0];
+    assert.equal(itemId, '1001');
+    assert.equal(boardId, '500');
+    assert.deepEqual(columnValues.call_status, { label: 'Call completed' });
+    assert.deepEqual(columnValues.call_outcome, { label: 'Successful' });
+    assert.equal(columnValues.call_duration, '95');
+    assert.deepEqual(columnValues.call_summary, { text: 'Ana agreed to a demo on Tuesday at 3pm.' });
+    assert.deepEqual(columnValues.status_interest, { label: 'Hot' });
+    assert.deepEqual(columnValues.date_demo, { date: '2026-10-27', time: '18:00:00' });
+    
+    assert.equal(env.monday.updates.length, 1);
+    assert.match(env.monday.updates[0].body, /Pode ser terça às 15h/);
+    
+    // Call history and transcript
+    const completed = await (await apiGet(callUrl)).json();
+    assert.equal(completed.status, 'completed');
+    assert.equal(completed.outcome.callSuccessful, 'success');
+    assert.equal(completed.lead, undefined);
+    
+    const transcript = await (await apiGet(`${callUrl}/transcript?format=text`)).text();
+    assert.match(transcript, /\[0:30\] Customer: Pode ser terça às 15h\./);
+    
+    // A repeated delivery is not applied twice
+    const repeated = await sendPostCall(env.baseUrl, postCall);
+    assert.equal(repeated.body.duplicate, true);
+    assert.equal(env.monday.columnUpdates.length, 1);
+    
+    // The whole flow is logged under the correlation ID of the Monday.com webhook, without personal data
+    const logs = await (await apiGet(`${env.baseUrl}/logs?callId=${webhook.body.callRecordId}`)).json();
+    const messages = logs.entries.map(entry => entry.message);
+    assert.ok(logs.entries.every(entry => entry.correlationId === 'req-flow-1001'));
+    assert.ok(messages.includes('Webhook recebido do Monday.com'));
+    assert.ok(messages.includes('Dispatching call'));
+    assert.ok(messages.includes('Webhook recebido do ElevenLabs'));
+    assert.ok(messages.includes('Call outcome written to Monday.com'));
+    
+    const serialized = JSON.stringify(logs.entries);
+    assert.doesNotMatch(serialized, /\+?5511912345678|Ana Souza|ana@/);
+    assert.match(serialized, /\*\*\*5678/);
+  });
+  
+  it('rejects an unsigned Monday.com webhook', async () => {
+    const { status } = await postJson(`${env.baseUrl}/webhook/monday`, fixture('monday-event-data.json'));
+    assert.equal(status, 401);
+  });
+  
+  it('skips a repeated Monday.com delivery', async () => {
+    const payload = fixture('monday-top-level.json');
+    
+    const first = await sendMondayWebhook(env.baseUrl, payload);
+    const second = await sendMondayWebhook(env.baseUrl, payload);
+    
+    assert.equal(first.status, 202);
+    assert.equal(second.status, 200);
+    assert.equal(second.body.reason, 'duplicate_event');
+  });
+  
+  it('redials a busy line', async () => {
+    const webhook = await sendMondayWebhook(env.baseUrl, fixture('monday-column-values.json'));
+    assert.equal(webhook.status, 202);
+    
+    const call = await waitFor(() => env.elevenlabs.calls.find(candidate => candidate.to_number === '+5521987654321'));
+    await waitFor(async () => (await (await apiGet(`${env.baseUrl}/calls/${webhook.body.callRecordId}`)).json()).status === 'initiated');
+    
+    const result = await sendPostCall(env.baseUrl, {
+      type: 'call_initiation_failure',
+      data: {
+        agent_id: 'agent_mock',
+        conversation_id: call.conversationId,
+        failure_reason: 'busy',
+        metadata: { type: 'twilio' }
+      }
+    });
+    
+    assert.equal(result.status, 200);
+    assert.equal(result.body.redial.action, 'redial');
+    assert.equal(result.body.redial.connection, 'busy');
+    
+    const redial = await (await apiGet(`${env.baseUrl}/calls/${result.body.redial.nextCallRecordId}`)).json();
+    assert.equal(redial.status, 'queued');
+    assert.equal(redial.attempt, 2);
+    assert.equal(redial.previousCallId, webhook.body.callRecordId);
+    assert.equal(redial.phone, '+5521987654321');
+  });
+  
+  it('does not call a lead again once the redial policy gave up', async () => {
+    env.monday.addItem({
+      boardId: 500,
+      id: '1006',
+      name: 'Fábio Nunes',
+      group: { id: 'new_leads', title: 'New leads' },
+      column_values: [{ id: 'phone', text: '+55 11 95555-1234', value: null }]
+    });
+    const event = (type, extra = {}) => ({ event: { type, pulseId: 1006, boardId: 500, triggerUuid: `give-up-${type}-${extra.columnId}`, ...extra } });
+    
+    const webhook = await sendMondayWebhook(env.baseUrl, event('create_pulse'));
+    assert.equal(webhook.status, 202);
+    const call = await waitFor(() => env.elevenlabs.calls.find(candidate => candidate.to_number === '+5511955551234'));
+    await waitFor(async () => (await (await apiGet(`${env.baseUrl}/calls/${webhook.body.callRecordId}`)).json()).status === 'initiated');
+    
+    // Failed calls are not retried (config/redial.json)
+    const result = await sendPostCall(env.baseUrl, {
+      type: 'call_initiation_failure',
+      data: { agent_id: 'agent_mock', conversation_id: call.conversationId, failure_reason: 'unknown', metadata: { type: 'twilio' } }
+    });
+    assert.equal(result.body.redial.action, 'give_up');
+    assert.equal((await (await apiGet(`${env.baseUrl}/calls/${webhook.body.callRecordId}`)).json()).status, 'exhausted');
+    
+    // Monday.com echoes the status the service just wrote
+    const echo = await sendMondayWebhook(env.baseUrl, event('change_column_value', { columnId: 'call_status', value: { label: { text: 'Unreachable' } } }));
+    assert.equal(echo.status, 200);
+    assert.equal(echo.body.reason, 'own_column');
+    
+    const change = await sendMondayWebhook(env.baseUrl, event('change_column_value', { columnId: 'status', value: { label: { text: 'Ready to call' } } }));
+    assert.equal(change.status, 200);
+    assert.equal(change.body.reason, 'attempts_exhausted');
+    assert.equal(env.elevenlabs.calls.filter(candidate => candidate.to_number === '+5511955551234').length, 1);
+  });
+  
+  it('ignores post-call events without an outcome', async () => {
+    const result = await sendPostCall(env.baseUrl, {
+      type: 'post_call_audio',
+      data: { agent_id: 'agent_mock', conversation_id: 'conv_audio_only', full_audio: 'UklGRg==' }
+    });
+    
+    assert.equal(result.status, 200);
+    assert.equal(result.body.skipped, true);
+    assert.equal(result.body.reason, 'unsupported_event');
+  });
+  
+  it('does not dial again a call interrupted by a restart while dialing', () => {
+    const callLedger = require('../services/callLedger');
+    const callDispatcher = require('../services/callDispatcher');
+    
+    const record = callLedger.recordAttempt({ id: 9001, boardId: 500, phone: '+5511912340000' });
+    callLedger.update(record.id, 'queued');
+    assert.equal(callDispatcher.recover({ payload: { callRecordId: record.id } }), 'requeue');
+    
+    callLedger.update(record.id, 'dialing');
+    assert.equal(callDispatcher.recover({ payload: { callRecordId: record.id } }), 'dead');
+    assert.equal(callLedger.get(record.id).status, 'unknown');
+    
+    callLedger.update(record.id, 'initiated', { conversationId: 'conv_recovered' });
+    assert.equal(callDispatcher.recover({ payload: { callRecordId: record.id } }), 'done');
+  });
+  
+  it('keeps only the lead identity in queued jobs', () => {
+    const callDispatcher = require('../services/callDispatcher');
+    const lead = { id: 9002, boardId: 500, name: 'Gabriela Reis', phone: '+5511912340003', email: 'gabi@example.com', mcpData: { columns: { phone: '+5511912340003' } } };
+    
+    const { job, callRecord } = callDispatcher.schedule(lead, { notBefore: new Date(Date.now() + 24 * 60 * 60 * 1000) });
+    assert.deepEqual(job.payload, { itemId: '9002', boardId: '500', callRecordId: callRecord.id });
+    
+    const stored = fs.readFileSync(path.join(env.dataDir, 'call-queue.json'), 'utf8');
+    assert.doesNotMatch(stored, /Gabriela|912340003|gabi@/);
+  });
+  
+  it('blocks a lead whose do-not-call column could not be read', () => {
+    const boardConfig = require('../services/boardConfig');
+    const callDispatcher = require('../services/callDispatcher');
+    
+    boardConfig.boards['700'] = { columns: { phone: 'phone', doNotCall: 'checkbox_dnc' } };
+    try {
+      const lead = { id: 7001, boardId: 700, phone: '+5511912340001' };
+      assert.match(callDispatcher.checkConsent({ ...lead, mcpData: null }), /could not be read/);
+      assert.match(callDispatcher.checkConsent({ ...lead, mcpData: { columns: { checkbox_dnc: 'v' } } }), /flag set/);
+      assert.equal(callDispatcher.checkConsent({ ...lead, mcpData: { columns: { checkbox_dnc: '' } } }), null);
+    } finally {
+      delete boardConfig.boards['700'];
+    }
+  });
+  
+  it('applies the board skip rules to campaign items', () => {
+    const boardConfig = require('../services/boardConfig');
+    const campaignService = require('../services/campaigns');
+    
+    boardConfig.boards['800'] = {
+      triggers: [
+        { name: 'do-not-call', action: 'skip', events: ['change_column_value'], conditions: [{ column: 'checkbox_dnc', checked: true }] },
+        { name: 'any', events: ['create_pulse'] }
+      ]
+    };
+    try {
+      const lead = { id: 8001, boardId: 800, phone: '+5511912340002' };
+      assert.deepEqual(
+        campaignService.checkSkipRules({ ...lead, mcpData: { columns: { checkbox_dnc: 'v' } } }),
+        { reason: 'blocked_by_rule', rule: 'do-not-call' }
+      );
+      assert.equal(campaignService.checkSkipRules({ ...lead, mcpData: { columns: { checkbox_dnc: '' } } }), null);
+    } finally {
+      delete boardConfig.boards['800'];
+    }
+  });
+  
+  it('does not retry a Monday.com mutation that may have been applied', async () => {
+    const mondayService = require('../services/monday');
+    const requests = env.monday.requests.length;
+    
+    env.monday.failNext(500, { error_message: 'Internal server error' });
+    await assert.rejects(mondayService.createUpdate(1001, '<p>Note</p>'), error => error.type === 'upstream');
+    assert.equal(env.monday.requests.length, requests + 1);
+  });
+  
+  it('escapes the text written into item updates', async () => {
+    const mondayService = require('../services/monday');
+    
+    await mondayService.writeFinalStatus({ itemId: 1001, boardId: 500 }, null, 'Reason <img src=x onerror=alert(1)> & more');
+    assert.equal(env.monday.updates.at(-1).body, '<p><strong>📵 No more call attempts</strong></p><p>Reason &lt;img src=x onerror=alert(1)&gt; &amp; more</p>');
+    
+    await mondayService.recordInvalidPhone({ id: 1001, boardId: 500, phoneError: 'Not a "phone" <b>' });
+    assert.match(env.monday.updates.at(-1).body, /Not a &quot;phone&quot; &lt;b&gt;/);
+  });
+  
+  it('reports invalid trigger rules as configuration problems', () => {
+    const boardConfig = require('../services/boardConfig');
+    const triggerRules = require('../services/triggerRules');
+    assert.deepEqual(triggerRules.validate(), []);
+    
+    boardConfig.boards['600'] = {
+      triggers: [{ name: 'broken', action: 'dial', conditions: [{ column: 'status', is: 'Hot' }] }]
+    };
+    try {
+      const problems = triggerRules.validate();
+      assert.equal(problems.length, 2);
+      assert.match(problems[0], /board 600, rule broken has an invalid action/);
+      assert.match(problems[1], /condition on column status needs one of/);
+    } finally {
+      delete boardConfig.boards['600'];
+    }
+  });
+  
+  it('rejects an unsigned post-call webhook', async () => {
+    const { status } = await postJson(`${env.baseUrl}/webhook/elevenlabs`, fixture('elevenlabs-post-call.json'));
+    assert.equal(status, 401);
+  });
+  
+  it('exposes pipeline metrics', async () => {
+    // Value of a series, so the test only counts what it does itself
+    const read = async () => {
+      const response = await apiGet(`${env.baseUrl}/metrics`);
+      assert.match(response.headers.get('content-type'), /^text\/plain/);
+      const text = await response.text();
+      
+      return series => {
+        const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+        return line ? Number(line.slice(series.length + 1)) : 0;
+      };
+    };
+    const counted = [
+      'monday_elevenlabs_webhooks_received_total{source="monday",event_type="create_pulse"}',
+      'monday_elevenlabs_leads_ignored_total{reason="duplicate_event"}',
+      'monday_elevenlabs_calls_initiated_total{mode="live"}',
+      'monday_elevenlabs_post_call_outcomes_total{status="completed",connection="answered",call_successful="success"}',
+      'monday_elevenlabs_api_request_duration_seconds_count{api="elevenlabs",operation="POST /convai/twilio/outbound-call",result="success"}',
+      'monday_elevenlabs_api_request_duration_seconds_count{api="monday",operation="mutation",result="success"}'
+    ];
+    const before = await read();
+    const initial = Object.fromEntries(counted.map(series => [series, before(series)]));
+    
+    // One call delivered twice, answered and written back
+    const payload = { event: { type: 'create_pulse', triggerUuid: 'metrics-1004' }, pulseId: 1004, pulseName: 'Diego Rocha', boardId: 500 };
+    const webhook = await sendMondayWebhook(env.baseUrl, payload);
+    assert.equal(webhook.status, 202);
+    assert.equal((await sendMondayWebhook(env.baseUrl, payload)).body.reason, 'duplicate_event');
+    
+    const call = await waitFor(() => env.elevenlabs.calls.find(candidate => candidate.to_number === '+5511987654321'));
+    await waitFor(async () => (await (await apiGet(`${env.baseUrl}/calls/${webhook.body.callRecordId}`)).json()).status === 'initiated');
+    
+    const postCall = fixture('elevenlabs-post-call.json');
+    postCall.data.conversation_id = call.conversationId;
+    assert.equal((await sendPostCall(env.baseUrl, postCall)).status, 200);
+    
+    const after = await read();
+    const [received, duplicates, initiated, outcomes, dials, mutations] = counted.map(series => after(series) - initial[series]);
+    assert.equal(received, 2);
+    assert.equal(duplicates, 1);
+    assert.equal(initiated, 1);
+    assert.equal(outcomes, 1);
+    assert.equal(dials, 1);
+    assert.ok(mutations > 0);
+    assert.equal(after('monday_elevenlabs_call_queue_jobs{state="dead_letter"}'), 0);
+  });
+  
+  it('reports readiness from the upstream APIs', async () => {
+    const ready = await fetch(`${env.baseUrl}/health/ready`);
+    const body = await ready.json();
+    assert.equal(ready.status, 200);
+    assert.equal(body.checks.monday.status, 'pass');
+    assert.equal(body.checks.elevenlabs.status, 'pass');
+    
+    // Served from the cache without asking the upstream APIs again
+    const requests = env.monday.requests.length;
+    assert.equal((await fetch(`${env.baseUrl}/health/ready`)).status, 200);
+    assert.equal(env.monday.requests.length, requests);
+    
+    require('../services/healthCheck').cached = null;
+    env.monday.failNext(500, { error_message: 'Internal server error' });
+    const notReady = await fetch(`${env.baseUrl}/health/ready`);
+    const failed = await notReady.json();
+    assert.equal(notReady.status, 503);
+    assert.equal(failed.status, 'not_ready');
+    assert.equal(failed.checks.monday.status, 'fail');
+  });
+  
+  it('holds a lead whose call request failed upstream instead of dialing again', async () => {
+    env.monday.addItem({
+      boardId: 500,
+      id: '1007',
+      name: 'Gabriela Reis',
+      group: { id: 'new_leads', title: 'New leads' },
+      column_values: [{ id: 'phone', text: '+55 11 96666-1234', value: null }]
+    });
+    const event = triggerUuid => ({ event: { type: 'create_pulse', pulseId: 1007, boardId: 500, triggerUuid } });
+    
+    // ElevenLabs may have placed the call before answering 503
+    env.elevenlabs.failNext(503, { detail: 'Service unavailable' });
+    const webhook = await sendMondayWebhook(env.baseUrl, event('upstream-1'));
+    assert.equal(webhook.status, 202);
+    await waitFor(async () => (await (await apiGet(`${env.baseUrl}/calls/${webhook.body.callRecordId}`)).json()).status === 'unknown');
+    
+    const dead = await (await apiGet(`${env.baseUrl}/admin/queue/dead-letter`)).json();
+    assert.ok(JSON.stringify(dead).includes(webhook.body.callRecordId));
+    
+    const again = await sendMondayWebhook(env.baseUrl, event('upstream-2'));
+    assert.equal(again.status, 200);
+    assert.equal(again.body.reason, 'item_cooldown');
+  });
+  
+  it('redacts phone numbers written without + and keeps the built-in log fields', () => {
+    const logger = require('../services/logger');
+    logger.warn('Lead 11 98765-4321 or 5511987654321, item 1234567890 at 2026-10-27T18:00:00.000Z', {
+      level: 'debug',
+      message: 'replaced',
+      note: '(21) 3456-7890'
+    });
+    
+    const [entry] = logger.recent({ limit: 1 });
+    assert.equal(entry.level, 'warn');
+    assert.equal(entry.message, 'Lead ***4321 or ***4321, item 1234567890 at 2026-10-27T18:00:00.000Z');
+    assert.equal(entry.note, '***7890');
+  });
+  
+  it('requires an API key with the right role on the admin routes', async () => {
+    assert.equal((await fetch(`${env.baseUrl}/health`)).status, 200);
+    assert.equal((await fetch(`${env.baseUrl}/calls`)).status, 401);
+    assert.equal((await fetch(`${env.baseUrl}/logs`, { headers: { Authorization: 'Bearer wrong_key' } })).status, 401);
+    assert.equal((await fetch(`${env.baseUrl}/logs`, { headers: { 'X-API-Key': API_KEYS.reader.key } })).status, 200);
+    
+    // Reading keys can't dial; dialing keys get past authentication to the route's own validation
+    const testCall = { phone: '123', name: 'Teste' };
+    const asReader = await postJson(`${env.baseUrl}/test/call`, testCall, { Authorization: `Bearer ${API_KEYS.reader.key}` });
+    assert.equal(asReader.status, 403);
+    const asOperator = await postJson(`${env.baseUrl}/test/call`, testCall, { Authorization: `Bearer ${API_KEYS.operator.key}` });
+    assert.equal(asOperator.status, 400);
+    assert.equal((await apiGet(`${env.baseUrl}/admin/queue`, 'operator')).status, 200);
+  });
+  
+  it('rate limits each API key', async () => {
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await apiGet(`${env.baseUrl}/calls`, 'limited')).status, 200);
+    }
+    
+    const limited = await apiGet(`${env.baseUrl}/calls`, 'limited');
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    
+    // Other keys keep their own budget
+    assert.equal((await apiGet(`${env.baseUrl}/calls`)).status, 200);
+  });
+  
+  it('allows CORS only from the configured origins', async () => {
+    const fromDashboard = await fetch(`${env.baseUrl}/health`, { headers: { Origin: 'https://dashboard.example.com' } });
+    assert.equal(fromDashboard.headers.get('access-control-allow-origin'), 'https://dashboard.example.com');
+    
+    const fromElsewhere = await fetch(`${env.baseUrl}/health`, { headers: { Origin: 'https://evil.example.com' } });
+    assert.equal(fromElsewhere.headers.get('access-control-allow-origin'), null);
+  });
+});
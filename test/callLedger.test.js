@@ -0,0 +1,58 @@
+/**
+ * Call ledger: journal of changes, replay after a restart and outcome matching
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir } = require('./helpers');
+
+describe('CallLedger', () => {
+  let tempDir;
+  let callLedger;
+  
+  before(() => {
+    tempDir = useTempDataDir();
+    callLedger = require('../services/callLedger');
+  });
+  
+  after(() => {
+    tempDir.cleanup();
+  });
+  
+  it('appends status changes to the journal instead of rewriting calls.json', () => {
+    const record = callLedger.recordAttempt({ id: 1001, boardId: 500, phone: '+5511912345678' });
+    callLedger.update(record.id, 'queued');
+    callLedger.update(record.id, 'dialing');
+    
+    const journal = fs.readFileSync(path.join(tempDir.dataDir, 'calls.journal.jsonl'), 'utf8').trim().split('\n');
+    assert.equal(journal.length, 3);
+    assert.equal(JSON.parse(journal[2]).status, 'dialing');
+    assert.equal(fs.existsSync(path.join(tempDir.dataDir, 'calls.json')), false);
+  });
+  
+  it('replays the journal after a restart', () => {
+    const record = callLedger.recordAttempt({ id: 1002, boardId: 500, phone: '+5511977771234' });
+    callLedger.update(record.id, 'initiated', { conversationId: 'conv_replayed' });
+    fs.appendFileSync(callLedger.journalPath, '{"id":"cut short');
+    
+    const restarted = new callLedger.constructor();
+    assert.equal(restarted.get(record.id).status, 'initiated');
+    assert.equal(restarted.findByConversationId('conv_replayed').id, record.id);
+    assert.equal(fs.existsSync(restarted.journalPath), false);
+    assert.ok(JSON.parse(fs.readFileSync(restarted.store.filePath, 'utf8')).calls[record.id]);
+  });
+  
+  it('matches an outcome to an older attempt of an item with many calls', () => {
+    const waiting = callLedger.recordAttempt({ id: 1003, boardId: 500 });
+    for (let index = 0; index < 60; index++) {
+      const later = callLedger.recordAttempt({ id: 1003, boardId: 500 });
+      callLedger.update(later.id, 'completed', { conversationId: `conv_${index}`, createdAt: `9999-01-01T00:00:${String(index).padStart(2, '0')}Z` });
+    }
+    
+    const matched = callLedger.recordOutcome({ itemId: '1003', conversationId: 'conv_late', status: 'done' });
+    assert.equal(matched.id, waiting.id);
+    assert.equal(matched.status, 'completed');
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Call modes: dry-run records the request without dialing, sandbox only dials the test numbers
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { fixture, startEnvironment, apiGet, sendMondayWebhook, waitFor } = require('./helpers');
+
+describe('call modes', () => {
+  let env;
+  let callMode;
+  
+  before(async () => {
+    env = await startEnvironment({ CALL_MODE: 'dry-run' });
+    callMode = require('../services/callMode');
+  });
+  
+  after(async () => {
+    await env.close();
+  });
+  
+  it('records the request in dry-run without dialing', async () => {
+    const webhook = await sendMondayWebhook(env.baseUrl, fixture('monday-event-data.json'));
+    assert.equal(webhook.status, 202);
+    
+    const record = await waitFor(async () => {
+      const call = await (await apiGet(`${env.baseUrl}/calls/${webhook.body.callRecordId}`)).json();
+      return call.status === 'dry_run' && call;
+    });
+    assert.equal(record.mode, 'dry-run');
+    assert.equal(record.request.body.to_number, '+5511912345678');
+    assert.equal(env.elevenlabs.calls.length, 0);
+  });
+  
+  it('does not count dry-run attempts for the item cooldown', () => {
+    const deduplicationService = require('../services/deduplication');
+    assert.equal(deduplicationService.checkItemCooldown(1001).allowed, true);
+  });
+  
+  it('only dials the test numbers in sandbox', () => {
+    const phoneNumber = require('../services/phoneNumber');
+    const { mode, sandboxNumbers } = callMode;
+    
+    callMode.mode = 'sandbox';
+    callMode.sandboxNumbers = [phoneNumber.normalize('+5511999990000')];
+    try {
+      assert.deepEqual(callMode.resolvePhone('+5511999990000'), { phone: '+5511999990000', redirected: false });
+      assert.deepEqual(callMode.resolvePhone('+5511912345678'), { phone: '+5511999990000', redirected: true });
+    } finally {
+      Object.assign(callMode, { mode, sandboxNumbers });
+    }
+  });
+  
+  it('refuses to start live when the credentials cannot be verified', async () => {
+    const { mode } = callMode;
+    const unreachable = {
+      get: async () => {
+        const error = new Error('connect ECONNREFUSED');
+        error.name = 'ElevenLabsNetworkError';
+        throw error;
+      }
+    };
+    
+    callMode.mode = 'live';
+    try {
+      const problems = await callMode.verifyCredentials(unreachable);
+      assert.equal(problems.length, 1);
+      assert.match(problems[0], /Could not verify ElevenLabs credentials/);
+    } finally {
+      callMode.mode = mode;
+    }
+  });
+});
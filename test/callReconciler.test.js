@@ -0,0 +1,76 @@
+/**
+ * Call reconciliation: calls whose post-call webhook never arrived get their outcome from ElevenLabs,
+ * or become unknown after the maximum age
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { fixture, startEnvironment } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('CallReconciler', () => {
+  let env;
+  let callLedger;
+  let callReconciler;
+  
+  before(async () => {
+    env = await startEnvironment({ RECONCILE_AFTER_SECONDS: '900', RECONCILE_MAX_AGE_SECONDS: '86400' });
+    callLedger = require('../services/callLedger');
+    callReconciler = require('../services/callReconciler');
+    
+    // Passes are run by the tests themselves
+    callReconciler.stop();
+  });
+  
+  after(async () => {
+    await env.close();
+  });
+  
+  const initiatedCall = (itemId, conversationId, conversation) => {
+    env.elevenlabs.setConversation(conversationId, conversation);
+    const record = callLedger.recordAttempt({ id: itemId, boardId: 500, name: 'Ana Souza', phone: '+5511912345678' });
+    return callLedger.markInitiated(record.id, { conversation_id: conversationId, call_id: `CA_${conversationId}` });
+  };
+  
+  const later = minutes => new Date(Date.now() + minutes * MINUTE_MS);
+  
+  it('applies the outcome of a finished conversation', async () => {
+    const { data } = fixture('elevenlabs-post-call.json');
+    const call = initiatedCall(1001, 'conv_finished', { ...data, conversation_id: 'conv_finished' });
+    
+    // Not checked before the timeout
+    assert.deepEqual(await callReconciler.reconcile(later(5)), { checked: 0, reconciled: 0, unknown: 0, pending: 0 });
+    
+    const summary = await callReconciler.reconcile(later(16));
+    assert.equal(summary.reconciled, 1);
+    assert.equal(callLedger.get(call.id).status, 'completed');
+    assert.equal(callLedger.get(call.id).outcome.callSuccessful, 'success');
+    assert.ok(env.monday.columnUpdates.some(update => String(update.itemId) === '1001'));
+  });
+  
+  it('leaves calls in progress pending and gives up after the maximum age', async () => {
+    const call = initiatedCall(1002, 'conv_in_progress', { agent_id: 'agent_mock', status: 'in-progress' });
+    const fetches = () => env.elevenlabs.requests.filter(request => request.path === '/v1/convai/conversations/conv_in_progress').length;
+    
+    const summary = await callReconciler.reconcile(later(16));
+    assert.equal(summary.pending, 1);
+    assert.equal(callLedger.get(call.id).status, 'initiated');
+    
+    // The conversation list already says it is in progress
+    assert.equal(fetches(), 0);
+    
+    assert.equal((await callReconciler.reconcile(later(24 * 60 + 1))).unknown, 1);
+    assert.equal(callLedger.get(call.id).status, 'unknown');
+    assert.equal(callLedger.get(call.id).statusHistory.at(-1).details.reason, 'No post-call outcome received');
+  });
+  
+  it('skips a pass while the previous one is still running', async () => {
+    callReconciler.running = true;
+    try {
+      assert.equal(await callReconciler.tick(), null);
+    } finally {
+      callReconciler.running = false;
+    }
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Calling hours: windows in the lead's timezone and holidays of the lead's country
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir } = require('./helpers');
+
+describe('CallScheduler', () => {
+  let tempDir;
+  let callScheduler;
+  
+  before(() => {
+    tempDir = useTempDataDir();
+    
+    const weekdays = [['09:00', '12:00'], ['13:30', '18:00']];
+    process.env.CALLING_HOURS_CONFIG = path.join(tempDir.dataDir, 'calling-hours.json');
+    fs.writeFileSync(process.env.CALLING_HOURS_CONFIG, JSON.stringify({
+      defaultTimezone: 'America/Sao_Paulo',
+      timezoneColumn: 'timezone',
+      windows: {
+        monday: weekdays,
+        tuesday: weekdays,
+        wednesday: weekdays,
+        thursday: weekdays,
+        friday: weekdays,
+        saturday: [['09:00', '13:00']],
+        sunday: []
+      },
+      holidays: {
+        BR: ['2026-11-20'],
+        PT: ['2026-12-08']
+      }
+    }));
+    
+    callScheduler = require('../services/callScheduler');
+  });
+  
+  after(() => {
+    delete process.env.CALLING_HOURS_CONFIG;
+    tempDir.cleanup();
+  });
+  
+  it('allows calls inside the windows of the lead\'s weekday', () => {
+    // Monday 2026-11-16 10:00 in São Paulo
+    const open = callScheduler.getNextSlot({ phone: '+5511912345678' }, new Date('2026-11-16T13:00:00Z'));
+    assert.deepEqual(open, { runAt: new Date('2026-11-16T13:00:00Z'), timezone: 'America/Sao_Paulo', deferred: false });
+    assert.equal(callScheduler.isAllowed({ phone: '+5511912345678' }, new Date('2026-11-16T13:00:00Z')), true);
+    
+    // Lunch break: the afternoon window opens at 13:30
+    const lunch = callScheduler.getNextSlot({ phone: '+5511912345678' }, new Date('2026-11-16T15:30:00Z'));
+    assert.equal(lunch.deferred, true);
+    assert.equal(lunch.runAt.toISOString(), '2026-11-16T16:30:00.000Z');
+  });
+  
+  it('defers calls after hours to the next open day', () => {
+    // Friday 19:00 → Saturday 09:00
+    const friday = callScheduler.getNextSlot({ phone: '+5511912345678' }, new Date('2026-11-13T22:00:00Z'));
+    assert.equal(friday.runAt.toISOString(), '2026-11-14T12:00:00.000Z');
+    
+    // Saturday 14:00 → Monday 09:00 (no calls on Sunday)
+    const saturday = callScheduler.getNextSlot({ phone: '+5511912345678' }, new Date('2026-11-14T17:00:00Z'));
+    assert.equal(saturday.runAt.toISOString(), '2026-11-16T12:00:00.000Z');
+    assert.equal(callScheduler.isAllowed({ phone: '+5511912345678' }, new Date('2026-11-15T15:00:00Z')), false);
+  });
+  
+  it('reads the windows in the lead\'s timezone', () => {
+    // Manaus (area code 92) is one hour behind São Paulo
+    const manaus = callScheduler.getNextSlot({ phone: '+5592912345678' }, new Date('2026-11-16T12:30:00Z'));
+    assert.equal(manaus.timezone, 'America/Manaus');
+    assert.equal(manaus.runAt.toISOString(), '2026-11-16T13:00:00.000Z');
+    
+    // The timezone column wins over the phone; invalid values are ignored
+    const column = timezone => ({ phone: '+5511912345678', mcpData: { columns: { timezone } } });
+    assert.equal(callScheduler.getNextSlot(column('Europe/Lisbon'), new Date('2026-11-16T08:00:00Z')).runAt.toISOString(), '2026-11-16T09:00:00.000Z');
+    assert.equal(callScheduler.getNextSlot(column('Mars/Olympus'), new Date('2026-11-16T08:00:00Z')).timezone, 'America/Sao_Paulo');
+    
+    // Unknown country: default timezone
+    assert.equal(callScheduler.getNextSlot({ phone: '+12125550123' }).timezone, 'America/Sao_Paulo');
+    
+    // London on the Monday after the switch to summer time: 09:00 BST is 08:00 UTC
+    const london = callScheduler.getNextSlot({ phone: '+442079460958' }, new Date('2026-03-30T07:00:00Z'));
+    assert.equal(london.runAt.toISOString(), '2026-03-30T08:00:00.000Z');
+  });
+  
+  it('applies the holidays of the lead\'s country only', () => {
+    // Friday 2026-11-20 10:00 in São Paulo (13:00 UTC) and Lisbon (10:00 UTC)
+    const brazil = callScheduler.getNextSlot({ phone: '+5511912345678' }, new Date('2026-11-20T13:00:00Z'));
+    assert.equal(brazil.deferred, true);
+    assert.equal(brazil.runAt.toISOString(), '2026-11-21T12:00:00.000Z');
+    
+    const portugal = callScheduler.getNextSlot({ phone: '+351912345678' }, new Date('2026-11-20T10:00:00Z'));
+    assert.equal(portugal.deferred, false);
+    assert.equal(portugal.timezone, 'Europe/Lisbon');
+    
+    const portugalHoliday = callScheduler.getNextSlot({ phone: '+351912345678' }, new Date('2026-12-08T10:00:00Z'));
+    assert.equal(portugalHoliday.runAt.toISOString(), '2026-12-09T09:00:00.000Z');
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Campaigns: filter validation on creation and the page-by-page run loop (filters, rate, pause, failures, restarts)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { API_KEYS, startEnvironment, postJson, waitFor } = require('./helpers');
+
+describe('campaigns', () => {
+  let env;
+  let campaignService;
+  
+  before(async () => {
+    env = await startEnvironment();
+    campaignService = require('../services/campaigns');
+    
+    // Steps are run by the tests themselves
+    campaignService.stop();
+  });
+  
+  after(async () => {
+    await env.close();
+  });
+  
+  it('refuses invalid filter conditions with 400 naming the condition', async () => {
+    const create = filters => postJson(`${env.baseUrl}/admin/campaigns`, { boardId: '500', filters }, {
+      Authorization: `Bearer ${API_KEYS.operator.key}`
+    });
+    
+    const notAList = await create({ conditions: { column: 'status', equals: 'New' } });
+    assert.equal(notAList.status, 400);
+    assert.equal(notAList.body.error, 'Campanha inválida');
+    assert.match(notAList.body.message, /filters\.conditions must be a list/);
+    
+    const invalid = await create({ conditions: [{ column: 'status', equals: 'New' }, { column: 'status' }] });
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.message, /filters\.conditions\[1\]/);
+    
+    assert.equal(campaignService.list().length, 0);
+  });
+  
+  it('queues one eligible item per step and counts the skipped ones', async () => {
+    const item = (id, name, phone, columns = {}, group = 'new_leads') => env.monday.addItem({
+      boardId: 510,
+      id,
+      name,
+      group: { id: group, title: group },
+      column_values: [
+        { id: 'phone', text: phone, value: null },
+        ...Object.entries(columns).map(([columnId, text]) => ({ id: columnId, text, value: null }))
+      ]
+    });
+    item('5102', 'Lost Lead', '(11) 95101-0002', { status: 'Lost' });
+    item('5103', 'Called Lead', '(11) 95101-0003', { status: 'New', call_outcome: 'Interested' });
+    item('5104', 'Broken Phone', '123', { status: 'New' });
+    item('5101', 'Eligible One', '(11) 95101-0001', { status: 'New' });
+    item('5105', 'Other Group', '(11) 95101-0005', { status: 'New' }, 'archived');
+    item('5106', 'Eligible Two', '(11) 95101-0006', { status: 'New' });
+    
+    const campaign = campaignService.create({
+      boardId: '510',
+      groupId: 'new_leads',
+      ratePerMinute: 2,
+      filters: { conditions: [{ column: 'status', equals: 'New' }], missingOutcome: true }
+    });
+    
+    const startedAt = Date.now();
+    await campaignService.run(campaign);
+    assert.deepEqual(campaign.calls.map(call => call.itemId), ['5101']);
+    assert.deepEqual(campaign.stats, {
+      pages: 1,
+      scanned: 4,
+      enqueued: 1,
+      skipped: { filtered_out: 1, has_outcome: 1, invalid_phone: 1 }
+    });
+    
+    // Rate control: the next step waits 60s / ratePerMinute
+    assert.ok(new Date(campaign.nextRunAt).getTime() >= startedAt + 30000);
+    
+    await campaignService.run(campaign);
+    assert.deepEqual(campaign.calls.map(call => call.itemId), ['5101', '5106']);
+    
+    await campaignService.run(campaign);
+    assert.equal(campaign.status, 'completed');
+    assert.equal(campaign.stats.scanned, 5);
+    assert.equal(campaignService.summarize(campaign).bufferedItems, 0);
+  });
+  
+  it('stops on a pause that arrives while a page is loading', async () => {
+    const campaign = campaignService.create({ boardId: '510', groupId: 'new_leads' });
+    
+    const step = campaignService.run(campaign);
+    campaignService.pause(campaign.id);
+    await step;
+    
+    assert.equal(campaign.status, 'paused');
+    assert.equal(campaign.stats.pages, 1);
+    assert.equal(campaign.stats.scanned, 0);
+    campaignService.cancel(campaign.id);
+  });
+  
+  it('fails on a Monday.com error and pages again from the start when resumed', async () => {
+    // Queued calls read their item too: let them finish first
+    const callQueue = require('../services/callQueue');
+    await waitFor(() => Object.keys(callQueue.store.data.jobs).length === 0);
+    
+    const campaign = campaignService.create({
+      boardId: '510',
+      groupId: 'new_leads',
+      filters: { conditions: [{ column: 'status', equals: 'New' }], missingOutcome: true }
+    });
+    
+    env.monday.failNext(401, { errors: [{ message: 'Not Authenticated', extensions: { code: 'USER_UNAUTHORIZED' } }] });
+    await campaignService.run(campaign);
+    assert.equal(campaign.status, 'failed');
+    assert.match(campaign.lastError.message, /Not Authenticated/);
+    
+    campaignService.resume(campaign.id);
+    assert.equal(campaign.status, 'running');
+    assert.equal(campaign.lastError, null);
+    
+    // The items queued by the previous campaign are still in flight
+    await campaignService.run(campaign);
+    assert.equal(campaign.status, 'completed');
+    assert.equal(campaign.stats.enqueued, 0);
+    assert.equal(campaign.stats.skipped.item_cooldown, 2);
+  });
+  
+  it('keeps item data out of campaigns.json and reads the unfinished page again after a restart', async () => {
+    const campaign = campaignService.create({ boardId: '500', ratePerMinute: 1 });
+    
+    await campaignService.run(campaign);
+    assert.equal(campaign.calls.length, 1);
+    assert.equal(campaign.pageOffset, 1);
+    
+    const stored = fs.readFileSync(path.join(env.dataDir, 'campaigns.json'), 'utf8');
+    assert.doesNotMatch(stored, /Ana|Bruno|Diego|\+55/);
+    assert.equal(JSON.parse(stored).campaigns[campaign.id].buffer, undefined);
+    
+    // Restart: the page buffer only lived in memory
+    campaignService.buffers.clear();
+    const pagesRequested = () => env.monday.requests.filter(({ query }) => query.includes('items_page')).length;
+    const pagesBefore = pagesRequested();
+    
+    await campaignService.run(campaign);
+    assert.equal(pagesRequested(), pagesBefore + 1);
+    assert.equal(campaign.stats.pages, 1);
+    assert.equal(campaign.calls.length, 2);
+    assert.notEqual(campaign.calls[1].itemId, campaign.calls[0].itemId);
+    
+    await campaignService.run(campaign);
+    await campaignService.run(campaign);
+    assert.equal(campaign.status, 'completed');
+    assert.deepEqual(campaign.calls.map(call => call.itemId).sort(), ['1001', '1002', '1004']);
+  });
+});
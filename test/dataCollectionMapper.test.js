@@ -0,0 +1,59 @@
+/**
+ * Data collection dates: explicit offsets keep their instant, local times follow the lead's timezone
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir } = require('./helpers');
+
+describe('DataCollectionMapper.toDate', () => {
+  let tempDir;
+  let dataCollectionMapper;
+  
+  before(() => {
+    tempDir = useTempDataDir();
+    dataCollectionMapper = require('../services/dataCollectionMapper');
+  });
+  
+  after(() => {
+    tempDir.cleanup();
+  });
+  
+  it('reads dates without a time', () => {
+    assert.deepEqual(dataCollectionMapper.toDate('2026-10-20', 'America/Sao_Paulo'), { date: '2026-10-20' });
+    assert.deepEqual(dataCollectionMapper.toDate('20/10/2026'), { date: '2026-10-20' });
+    assert.equal(dataCollectionMapper.toDate('2026-02-31'), null);
+    assert.equal(dataCollectionMapper.toDate('next tuesday'), null);
+  });
+  
+  it('takes times without an offset in the lead\'s timezone', () => {
+    assert.deepEqual(
+      dataCollectionMapper.toDate('2026-10-20T14:30', 'America/Sao_Paulo'),
+      { date: '2026-10-20', time: '17:30:00' }
+    );
+    assert.deepEqual(
+      dataCollectionMapper.toDate('20/10/2026 22:15', 'America/Sao_Paulo'),
+      { date: '2026-10-21', time: '01:15:00' }
+    );
+    assert.deepEqual(dataCollectionMapper.toDate('2026-10-20T14:30'), { date: '2026-10-20', time: '14:30:00' });
+  });
+  
+  it('keeps the instant of times with Z or an offset whatever the lead\'s timezone', () => {
+    assert.deepEqual(
+      dataCollectionMapper.toDate('2026-10-20T14:30:00Z', 'America/Sao_Paulo'),
+      { date: '2026-10-20', time: '14:30:00' }
+    );
+    assert.deepEqual(
+      dataCollectionMapper.toDate('2026-10-20T14:30:00.000Z', 'Europe/Lisbon'),
+      { date: '2026-10-20', time: '14:30:00' }
+    );
+    assert.deepEqual(
+      dataCollectionMapper.toDate('2026-10-20T23:30:00-03:00', 'Europe/Lisbon'),
+      { date: '2026-10-21', time: '02:30:00' }
+    );
+    assert.deepEqual(
+      dataCollectionMapper.toDate('2026-10-20T09:00+0530', 'America/Sao_Paulo'),
+      { date: '2026-10-20', time: '03:30:00' }
+    );
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Item cooldown: attempts still queued block the item whatever their age, finished ones count from when they were dialed, exhausted ones never expire
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('DeduplicationService.checkItemCooldown', () => {
+  let tempDir;
+  let callLedger;
+  let callDispatcher;
+  let deduplicationService;
+  
+  before(() => {
+    tempDir = useTempDataDir();
+    
+    // Closed from yesterday to tomorrow (UTC), so every call is deferred
+    const day = offset => new Date(Date.now() + offset * 24 * HOUR_MS).toISOString().slice(0, 10);
+    const allDay = [['00:00', '24:00']];
+    process.env.CALLING_HOURS_CONFIG = path.join(tempDir.dataDir, 'calling-hours.json');
+    fs.writeFileSync(process.env.CALLING_HOURS_CONFIG, JSON.stringify({
+      defaultTimezone: 'America/Sao_Paulo',
+      windows: Object.fromEntries(
+        ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].map(weekday => [weekday, allDay])
+      ),
+      holidays: [day(-1), day(0), day(1)]
+    }));
+    process.env.CALL_COOLDOWN_SECONDS = '3600';
+    
+    callLedger = require('../services/callLedger');
+    callDispatcher = require('../services/callDispatcher');
+    deduplicationService = require('../services/deduplication');
+  });
+  
+  after(() => {
+    delete process.env.CALLING_HOURS_CONFIG;
+    delete process.env.CALL_COOLDOWN_SECONDS;
+    tempDir.cleanup();
+  });
+  
+  it('allows an item never called', () => {
+    assert.equal(deduplicationService.checkItemCooldown(2000).allowed, true);
+  });
+  
+  it('blocks an item whose deferred call waits longer than the cooldown', () => {
+    const lead = { id: 2001, boardId: 500, phone: '+5511912345678' };
+    const { callRecord, slot } = callDispatcher.schedule(lead);
+    assert.equal(slot.deferred, true);
+    
+    // Recorded two hours ago and still waiting for the calling window
+    callLedger.update(callRecord.id, null, { createdAt: new Date(Date.now() - 2 * HOUR_MS).toISOString() });
+    
+    const cooldown = deduplicationService.checkItemCooldown(lead.id);
+    assert.equal(cooldown.allowed, false);
+    assert.equal(cooldown.lastCallId, callRecord.id);
+    assert.equal(cooldown.lastCallStatus, 'queued');
+    assert.equal(callDispatcher.checkEligibility(lead).reason, 'item_cooldown');
+  });
+  
+  it('blocks an item with a call of unknown outcome', () => {
+    const record = callLedger.recordAttempt({ id: 2002, boardId: 500 });
+    callLedger.update(record.id, 'unknown', { createdAt: new Date(Date.now() - 48 * HOUR_MS).toISOString() });
+    
+    assert.equal(deduplicationService.checkItemCooldown(2002).allowed, false);
+  });
+  
+  it('counts the cooldown from when the call was dialed', () => {
+    const record = callLedger.recordAttempt({ id: 2003, boardId: 500 });
+    callLedger.update(record.id, 'dialing', { createdAt: new Date(Date.now() - 5 * HOUR_MS).toISOString() });
+    callLedger.update(record.id, 'completed');
+    
+    const recent = deduplicationService.checkItemCooldown(2003);
+    assert.equal(recent.allowed, false);
+    assert.ok(recent.retryAfterSeconds > 3500);
+    
+    record.statusHistory.forEach(history => {
+      history.at = new Date(Date.now() - 2 * HOUR_MS).toISOString();
+    });
+    assert.equal(deduplicationService.checkItemCooldown(2003).allowed, true);
+  });
+  
+  it('refuses an item whose attempts were exhausted, however long ago', () => {
+    const lead = { id: 2005, boardId: 500, phone: '+5511912340005' };
+    const record = callLedger.recordAttempt(lead);
+    callLedger.update(record.id, 'exhausted', { createdAt: new Date(Date.now() - 30 * 24 * HOUR_MS).toISOString() });
+    
+    const cooldown = deduplicationService.checkItemCooldown(lead.id);
+    assert.equal(cooldown.allowed, false);
+    assert.equal(cooldown.exhausted, true);
+    assert.equal(callDispatcher.checkEligibility(lead).reason, 'attempts_exhausted');
+  });
+  
+  it('ignores failed, blocked and dry-run attempts', () => {
+    ['failed', 'blocked', 'dry_run'].forEach(status => {
+      const record = callLedger.recordAttempt({ id: 2004, boardId: 500 });
+      callLedger.update(record.id, status);
+    });
+    
+    assert.equal(deduplicationService.checkItemCooldown(2004).allowed, true);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * ElevenLabs client error classification: which failures may be repeated, and which call requests may have been placed anyway
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+require('./helpers');
+const ElevenLabsClient = require('../services/elevenlabsClient');
+const {
+  ElevenLabsAuthError,
+  ElevenLabsValidationError,
+  ElevenLabsQuotaError,
+  ElevenLabsUpstreamError
+} = require('../services/elevenlabsErrors');
+
+describe('ElevenLabsClient errors', () => {
+  let server;
+  let client;
+  let requests;
+  
+  before(async () => {
+    // /status/<code> answers that status, /slow never answers, /drop closes the connection
+    server = http.createServer((req, res) => {
+      requests.push(`${req.method} ${req.url}`);
+      
+      const status = req.url.match(/^\/status\/(\d+)/);
+      if (status) {
+        const code = Number(status[1]);
+        res.writeHead(code, { 'Content-Type': 'application/json', ...(code === 429 ? { 'Retry-After': '0' } : {}) });
+        return res.end(JSON.stringify({ detail: { status: code === 402 ? 'quota_exceeded' : 'error', message: `Status ${code}` } }));
+      }
+      if (req.url === '/drop') return req.socket.destroy();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    client = new ElevenLabsClient({
+      apiKey: 'elevenlabs_test_key',
+      baseURL: `http://127.0.0.1:${server.address().port}`,
+      timeoutMs: 100,
+      maxRetries: 1,
+      retryBaseMs: 1
+    });
+  });
+  
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+  
+  const failure = async request => {
+    requests = [];
+    try {
+      await request();
+    } catch (error) {
+      return error;
+    }
+    assert.fail('request should have failed');
+  };
+  
+  it('types errors by status', async () => {
+    assert.ok(await failure(() => client.get('/status/401')) instanceof ElevenLabsAuthError);
+    assert.ok(await failure(() => client.get('/status/422')) instanceof ElevenLabsValidationError);
+    
+    const credits = await failure(() => client.post('/status/402'));
+    assert.ok(credits instanceof ElevenLabsQuotaError);
+    assert.equal(credits.transient, false);
+    
+    const limited = await failure(() => client.post('/status/429'));
+    assert.ok(limited instanceof ElevenLabsQuotaError);
+    assert.equal(limited.transient, true);
+    assert.equal(requests.length, 2);
+  });
+  
+  it('repeats reads after upstream failures', async () => {
+    const error = await failure(() => client.get('/status/503'));
+    assert.ok(error instanceof ElevenLabsUpstreamError);
+    assert.equal(error.transient, true);
+    assert.equal(error.uncertain, false);
+    assert.equal(requests.length, 2);
+  });
+  
+  it('does not repeat a call request ElevenLabs may have received', async () => {
+    for (const path of ['/status/503', '/slow', '/drop']) {
+      const error = await failure(() => client.post(path));
+      assert.ok(error instanceof ElevenLabsUpstreamError, path);
+      assert.equal(error.transient, false, path);
+      assert.equal(error.uncertain, true, path);
+      assert.equal(requests.length, 1, path);
+    }
+  });
+  
+  it('repeats a call request that never reached ElevenLabs', async () => {
+    const unreachable = new ElevenLabsClient({ apiKey: 'elevenlabs_test_key', baseURL: 'http://127.0.0.1:1', maxRetries: 0 });
+    
+    const error = await failure(() => unreachable.post('/convai/twilio/outbound-call'));
+    assert.ok(error instanceof ElevenLabsUpstreamError);
+    assert.equal(error.code, 'ECONNREFUSED');
+    assert.equal(error.transient, true);
+    assert.equal(error.uncertain, false);
+  });
+});
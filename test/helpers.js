@@ -0,0 +1,244 @@
+/**
+ * Test helpers
+ * Boots the server against the Monday.com and ElevenLabs mocks, with all state in a temporary directory
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const MondayMock = require('./mocks/mondayMock');
+const ElevenLabsMock = require('./mocks/elevenlabsMock');
+
+// The test runner reads results from stdout, so service logs go to stderr
+console.log = (...args) => process.stderr.write(`${util.format(...args)}\n`);
+console.info = console.log;
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const MONDAY_WEBHOOK_SECRET = 'monday_test_signing_secret';
+const ELEVENLABS_WEBHOOK_SECRET = 'wsec_test_secret';
+
+// Admin API keys by name (the `limited` key may only make 3 requests per minute)
+const API_KEYS = {
+  reader: { key: 'test_read_key', roles: ['read'] },
+  operator: { key: 'test_dial_key', roles: ['dial'] },
+  limited: { key: 'test_limited_key', roles: ['read'], ratePerMinute: 3 }
+};
+
+/**
+ * Read a fixture file
+ * @param {string} name - File name inside test/fixtures
+ * @returns {Object}
+ */
+function fixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8'));
+}
+
+/**
+ * Start the mocks, point the services at them and load the app
+ * Must run before anything requires the services (they read the environment when loaded)
+ * @param {Object} env - Extra environment variables
+ * @returns {Promise<Object>} - { monday, elevenlabs, baseUrl, dataDir, close }
+ */
+async function startEnvironment(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'monday-elevenlabs-test-'));
+  
+  const monday = new MondayMock({
+    items: fixture('monday-items.json'),
+    users: [{ id: '42', name: 'Sales Owner', email: 'owner@example.com' }]
+  });
+  const elevenlabs = new ElevenLabsMock({ agents: ['agent_mock'] });
+  
+  const callingHours = path.join(dataDir, 'calling-hours.json');
+  const allDay = [['00:00', '24:00']];
+  fs.writeFileSync(callingHours, JSON.stringify({
+    defaultTimezone: 'America/Sao_Paulo',
+    windows: Object.fromEntries(
+      ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].map(day => [day, allDay])
+    ),
+    holidays: []
+  }));
+  
+  const boards = path.join(dataDir, 'boards.json');
+  fs.writeFileSync(boards, JSON.stringify({
+    boards: {
+      500: {
+        columns: { phone: 'phone', email: 'email', company: 'company' },
+        dataCollection: {
+          interest_level: { column: 'status_interest', type: 'status', labels: { high: 'Hot', low: 'Cold' } },
+          preferred_demo_date: { column: 'date_demo', type: 'date' }
+        }
+      }
+    }
+  }));
+  
+  const apiKeys = path.join(dataDir, 'api-keys.json');
+  fs.writeFileSync(apiKeys, JSON.stringify({
+    keys: Object.entries(API_KEYS).map(([name, { key, ...settings }]) => ({
+      name,
+      keyHash: crypto.createHash('sha256').update(key).digest('hex'),
+      ...settings
+    }))
+  }));
+  
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    CALL_MODE: 'live',
+    MONDAY_API_KEY: 'monday_test_key',
+    MONDAY_API_URL: await monday.start(),
+    MONDAY_WEBHOOK_SECRET,
+    MONDAY_CALL_STATUS_COLUMN: 'call_status',
+    MONDAY_CALL_DURATION_COLUMN: 'call_duration',
+    MONDAY_CALL_OUTCOME_COLUMN: 'call_outcome',
+    MONDAY_CALL_SUMMARY_COLUMN: 'call_summary',
+    ELEVENLABS_API_KEY: 'elevenlabs_test_key',
+    ELEVENLABS_API_URL: await elevenlabs.start(),
+    ELEVENLABS_AGENT_ID: 'agent_mock',
+    ELEVENLABS_PHONE_NUMBER_ID: 'phnum_mock',
+    ELEVENLABS_WEBHOOK_SECRET,
+    ELEVENLABS_MAX_RETRIES: '0',
+    CALLING_HOURS_CONFIG: callingHours,
+    BOARD_CONFIG: boards,
+    ROUTING_CONFIG: path.join(dataDir, 'routing.json'),
+    REDIAL_CONFIG: path.join(__dirname, '..', 'config', 'redial.json'),
+    CALL_QUEUE_POLL_INTERVAL_MS: '50',
+    API_KEYS_CONFIG: apiKeys,
+    CORS_ORIGINS: 'https://dashboard.example.com',
+    ...env
+  });
+  
+  const { app, startBackgroundServices } = require('../server');
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  startBackgroundServices();
+  
+  return {
+    monday,
+    elevenlabs,
+    dataDir,
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    async close() {
+      require('../services/callQueue').stop();
+      require('../services/campaigns').stop();
+      require('../services/callReconciler').stop();
+      await new Promise(resolve => server.close(() => resolve()));
+      await monday.stop();
+      await elevenlabs.stop();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Point DATA_DIR at a new temporary directory, for tests of a single service without the server
+ * Must run before the service is required
+ * @returns {Object} - { dataDir, cleanup }
+ */
+function useTempDataDir() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'monday-elevenlabs-test-'));
+  process.env.DATA_DIR = dataDir;
+  
+  return {
+    dataDir,
+    cleanup: () => fs.rmSync(dataDir, { recursive: true, force: true })
+  };
+}
+
+/**
+ * POST JSON to the app
+ * @param {string} url - URL
+ * @param {Object} body - JSON body
+ * @param {Object} headers - Extra headers
+ * @returns {Promise<Object>} - { status, body }
+ */
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  const text = await response.text();
+  
+  let parsed = text;
+  try { parsed = JSON.parse(text); } catch (error) { /* plain text */ }
+  
+  return { status: response.status, body: parsed };
+}
+
+/**
+ * GET from the admin API with an API key
+ * @param {string} url - URL
+ * @param {string} keyName - Key of API_KEYS (defaults to the read-only key)
+ * @returns {Promise<Response>}
+ */
+function apiGet(url, keyName = 'reader') {
+  return fetch(url, { headers: { Authorization: `Bearer ${API_KEYS[keyName].key}` } });
+}
+
+/**
+ * Send a webhook signed like Monday.com does (HS256 JWT in the Authorization header)
+ * @param {string} baseUrl - App URL
+ * @param {Object} payload - Webhook payload
+ * @param {Object} headers - Extra headers
+ * @returns {Promise<Object>} - { status, body }
+ */
+function sendMondayWebhook(baseUrl, payload, headers = {}) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const now = Math.floor(Date.now() / 1000);
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ iat: now, exp: now + 60 })}`;
+  const signature = crypto.createHmac('sha256', MONDAY_WEBHOOK_SECRET).update(unsigned).digest('base64url');
+  
+  return postJson(`${baseUrl}/webhook/monday`, payload, {
+    Authorization: `${unsigned}.${signature}`,
+    ...headers
+  });
+}
+
+/**
+ * Send a post-call payload signed like ElevenLabs does
+ * @param {string} baseUrl - App URL
+ * @param {Object} payload - Post-call payload
+ * @returns {Promise<Object>} - { status, body }
+ */
+function sendPostCall(baseUrl, payload) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', ELEVENLABS_WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+  
+  return postJson(`${baseUrl}/webhook/elevenlabs`, body, {
+    'ElevenLabs-Signature': `t=${timestamp},v0=${signature}`
+  });
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns a truthy value when done
+ * @param {number} timeoutMs - Maximum wait
+ * @returns {Promise<*>} - The truthy value
+ */
+async function waitFor(condition, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  
+  while (Date.now() < deadline) {
+    const value = await condition();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  
+  throw new Error('Timed out waiting for condition');
+}
+
+module.exports = {
+  API_KEYS,
+  fixture,
+  startEnvironment,
+  useTempDataDir,
+  postJson,
+  apiGet,
+  sendMondayWebhook,
+  sendPostCall,
+  waitFor
+};
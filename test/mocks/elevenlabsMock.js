@@ -0,0 +1,139 @@
+/**
+ * ElevenLabs Mock
+ * Fake ElevenLabs API: accepts outbound calls, serves agents and conversations, records every request
+ */
+
+const http = require('http');
+
+class ElevenLabsMock {
+  
+  /**
+   * @param {Object} options - agents (IDs that exist)
+   */
+  constructor(options = {}) {
+    this.agents = new Set(options.agents || []);
+    this.calls = [];
+    this.conversations = new Map();
+    this.requests = [];
+    this.failures = [];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+  
+  /**
+   * Start listening on a free port
+   * @returns {Promise<string>} - API base URL
+   */
+  start(port = 0) {
+    return new Promise(resolve => {
+      this.server.listen(port, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}/v1`;
+        resolve(this.url);
+      });
+    });
+  }
+  
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+  
+  /**
+   * Answer the next request with an error response
+   * @param {number} status - HTTP status
+   * @param {Object} body - Response body
+   * @param {Object} headers - Response headers
+   */
+  failNext(status, body, headers = {}) {
+    this.failures.push({ status, body, headers });
+  }
+  
+  /**
+   * Set the details returned for a conversation (GET /convai/conversations/:id)
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} conversation - Conversation details
+   */
+  setConversation(conversationId, conversation) {
+    this.conversations.set(conversationId, { conversation_id: conversationId, ...conversation });
+  }
+  
+  /**
+   * Handle a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handle(req, res) {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = raw ? JSON.parse(raw) : null;
+      this.requests.push({ method: req.method, path: url.pathname, headers: req.headers, body });
+      
+      const failure = this.failures.shift();
+      if (failure) {
+        return this.send(res, failure.status, failure.body, failure.headers);
+      }
+      
+      if (req.headers['xi-api-key'] !== process.env.ELEVENLABS_API_KEY) {
+        return this.send(res, 401, { detail: { status: 'invalid_api_key', message: 'Invalid API key' } });
+      }
+      
+      this.route(req.method, url, body, res);
+    });
+  }
+  
+  /**
+   * Route a request to its endpoint
+   */
+  route(method, url, body, res) {
+    if (method === 'POST' && url.pathname === '/v1/convai/twilio/outbound-call') {
+      const conversationId = `conv_mock_${this.calls.length + 1}`;
+      this.calls.push({ conversationId, ...body });
+      this.setConversation(conversationId, { agent_id: body.agent_id, status: 'in-progress' });
+      
+      return this.send(res, 200, {
+        success: true,
+        message: 'Success',
+        conversation_id: conversationId,
+        callSid: `CA_mock_${this.calls.length}`
+      });
+    }
+    
+    const agent = /^\/v1\/convai\/agents\/([^/]+)$/.exec(url.pathname);
+    if (method === 'GET' && agent) {
+      return this.agents.has(agent[1])
+        ? this.send(res, 200, { agent_id: agent[1], name: 'Mock agent' })
+        : this.send(res, 404, { detail: { status: 'agent_not_found', message: 'Agent not found' } });
+    }
+    
+    const conversation = /^\/v1\/convai\/conversations\/([^/]+)$/.exec(url.pathname);
+    if (method === 'GET' && conversation) {
+      const details = this.conversations.get(conversation[1]);
+      return details
+        ? this.send(res, 200, details)
+        : this.send(res, 404, { detail: { status: 'conversation_not_found', message: 'Conversation not found' } });
+    }
+    
+    if (method === 'GET' && url.pathname === '/v1/convai/conversations') {
+      const conversations = [...this.conversations.values()].map(({ conversation_id, agent_id, status }) => ({
+        conversation_id, agent_id, status
+      }));
+      return this.send(res, 200, { conversations, has_more: false });
+    }
+    
+    this.send(res, 404, { detail: 'Not Found' });
+  }
+  
+  /**
+   * Send a JSON response
+   */
+  send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = ElevenLabsMock;
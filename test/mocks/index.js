@@ -0,0 +1,25 @@
+/**
+ * Local mock servers
+ * Runs the Monday.com and ElevenLabs mocks standalone, to try the server without network access:
+ *   npm run mocks
+ *   MONDAY_API_URL=http://127.0.0.1:4001/v2 ELEVENLABS_API_URL=http://127.0.0.1:4002/v1 npm start
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const MondayMock = require('./mondayMock');
+const ElevenLabsMock = require('./elevenlabsMock');
+
+const items = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'monday-items.json'), 'utf8'));
+
+const monday = new MondayMock({ items });
+const elevenlabs = new ElevenLabsMock({ agents: [process.env.ELEVENLABS_AGENT_ID].filter(Boolean) });
+
+Promise.all([
+  monday.start(parseInt(process.env.MONDAY_MOCK_PORT, 10) || 4001),
+  elevenlabs.start(parseInt(process.env.ELEVENLABS_MOCK_PORT, 10) || 4002)
+]).then(([mondayUrl, elevenlabsUrl]) => {
+  console.log(`🧪 Monday.com mock: MONDAY_API_URL=${mondayUrl}`);
+  console.log(`🧪 ElevenLabs mock: ELEVENLABS_API_URL=${elevenlabsUrl}`);
+});
@@ -0,0 +1,163 @@
+/**
+ * Monday.com Mock
+ * Fake GraphQL endpoint serving items from memory and recording mutations
+ */
+
+const http = require('http');
+
+class MondayMock {
+  
+  /**
+   * @param {Object} options - items (raw items with boardId, id, name, group, column_values), users
+   */
+  constructor(options = {}) {
+    this.items = new Map((options.items || []).map(item => [String(item.id), item]));
+    this.users = options.users || [];
+    this.requests = [];
+    this.columnUpdates = [];
+    this.updates = [];
+    this.failures = [];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+  
+  /**
+   * Start listening on a free port
+   * @returns {Promise<string>} - Endpoint URL
+   */
+  start(port = 0) {
+    return new Promise(resolve => {
+      this.server.listen(port, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}/v2`;
+        resolve(this.url);
+      });
+    });
+  }
+  
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+  
+  /**
+   * Add or replace an item
+   * @param {Object} item - Raw item
+   */
+  addItem(item) {
+    this.items.set(String(item.id), item);
+  }
+  
+  /**
+   * Answer the next request with an error response
+   * @param {number} status - HTTP status
+   * @param {Object} body - Response body
+   * @param {Object} headers - Response headers
+   */
+  failNext(status, body, headers = {}) {
+    this.failures.push({ status, body, headers });
+  }
+  
+  /**
+   * Handle a GraphQL request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handle(req, res) {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const { query = '', variables = {} } = JSON.parse(raw || '{}');
+      this.requests.push({ headers: req.headers, query, variables });
+      
+      const failure = this.failures.shift();
+      if (failure) {
+        return this.send(res, failure.status, failure.body, failure.headers);
+      }
+      
+      if (req.headers.authorization !== process.env.MONDAY_API_KEY) {
+        return this.send(res, 401, { errors: [{ message: 'Not Authenticated', extensions: { code: 'USER_UNAUTHORIZED' } }] });
+      }
+      
+      const data = this.resolve(query, variables);
+      if (query.includes('complexity {')) {
+        data.complexity = { query: 10, before: 5000000, after: 4999990, reset_in_x_seconds: 60 };
+      }
+      
+      this.send(res, 200, { data });
+    });
+  }
+  
+  /**
+   * Data for a query or mutation
+   * @param {string} query - GraphQL document
+   * @param {Object} variables - GraphQL variables
+   * @returns {Object}
+   */
+  resolve(query, variables) {
+    if (query.includes('change_multiple_column_values')) {
+      this.columnUpdates.push({
+        boardId: variables.boardId,
+        itemId: variables.itemId,
+        columnValues: JSON.parse(variables.columnValues)
+      });
+      return { change_multiple_column_values: { id: variables.itemId } };
+    }
+    
+    if (query.includes('create_update')) {
+      this.updates.push({ itemId: variables.itemId, body: variables.body });
+      return { create_update: { id: String(this.updates.length) } };
+    }
+    
+    if (query.includes('me {')) {
+      return { me: { id: '42' } };
+    }
+    
+    if (query.includes('users(')) {
+      const values = [].concat(variables.value).map(value => String(value).toLowerCase());
+      return {
+        users: this.users.filter(user => values.includes(user.email.toLowerCase()) || values.includes(user.name.toLowerCase()))
+      };
+    }
+    
+    if (query.includes('items(ids')) {
+      const item = this.items.get(String(variables.itemId));
+      return { items: item ? [this.publicItem(item)] : [] };
+    }
+    
+    if (query.includes('items_page')) {
+      const items = [...this.items.values()]
+        .filter(item => String(item.boardId) === String(variables.boardId))
+        .filter(item => !variables.groupId || item.group?.id === variables.groupId)
+        .map(item => this.publicItem(item));
+      const page = { cursor: null, items };
+      
+      return {
+        boards: [variables.groupId ? { groups: [{ items_page: page }] } : { items_page: page }]
+      };
+    }
+    
+    return {};
+  }
+  
+  /**
+   * Item as returned by the API (without the mock-only boardId)
+   * @param {Object} item - Stored item
+   * @returns {Object}
+   */
+  publicItem(item) {
+    const { boardId, ...rest } = item;
+    return rest;
+  }
+  
+  /**
+   * Send a JSON response
+   */
+  send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = MondayMock;
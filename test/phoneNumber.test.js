@@ -0,0 +1,84 @@
+/**
+ * Phone numbers: per-country validation, E.164 normalization and type classification
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const phoneNumber = require('../services/phoneNumber');
+
+const normalized = (phone, options) => {
+  const { valid, e164, country, type, reason } = phoneNumber.normalize(phone, options);
+  return { valid, e164, country, type, reason };
+};
+
+describe('PhoneNumberService.normalize', () => {
+  
+  it('validates Brazilian numbers by area code and subscriber', () => {
+    assert.deepEqual(normalized('(11) 97777-1234'), { valid: true, e164: '+5511977771234', country: 'BR', type: 'mobile', reason: null });
+    assert.deepEqual(normalized('11 3333-4444'), { valid: true, e164: '+551133334444', country: 'BR', type: 'landline', reason: null });
+    
+    // Trunk and carrier prefixes, country code without +, old 8-digit mobiles
+    assert.equal(normalized('0 11 97777-1234').e164, '+5511977771234');
+    assert.equal(normalized('015 11 97777-1234').e164, '+5511977771234');
+    assert.equal(normalized('5511987654321').e164, '+5511987654321');
+    assert.equal(normalized('11 8777-1234').e164, '+5511987771234');
+    
+    assert.match(normalized('(20) 97777-1234').reason, /Invalid Brazilian area code 20/);
+    assert.match(normalized('(11) 87777-1234').reason, /must be mobiles starting with 9/);
+    assert.match(normalized('11 7777-12').reason, /10 or 11 digits/);
+  });
+  
+  it('validates numbers of the other supported countries', () => {
+    assert.deepEqual(normalized('+1 (212) 555-0123'), { valid: true, e164: '+12125550123', country: 'US', type: 'unknown', reason: null });
+    assert.match(normalized('+1 212 155 0123').reason, /NPA-NXX-XXXX/);
+    
+    assert.equal(normalized('+351 912 345 678').type, 'mobile');
+    assert.equal(normalized('+351 212 345 678').type, 'landline');
+    assert.match(normalized('+351 12345').reason, /Portuguese numbers must have 9 digits/);
+    
+    assert.equal(normalized('+34 612 345 678').type, 'mobile');
+    assert.equal(normalized('+34 912 345 678').type, 'landline');
+    assert.match(normalized('+34 512 345 678').reason, /Spanish numbers/);
+    
+    assert.equal(normalized('+52 55 1234 5678').e164, '+525512345678');
+    assert.deepEqual(normalized('+54 9 11 2345 6789'), { valid: true, e164: '+5491123456789', country: 'AR', type: 'mobile', reason: null });
+    assert.equal(normalized('+54 11 2345 6789').type, 'landline');
+  });
+  
+  it('reads national numbers with the column country or the given default', () => {
+    assert.equal(normalized({ phone: '(212) 555-0123', countryShortName: 'US' }).e164, '+12125550123');
+    assert.equal(normalized('912 345 678', { defaultCountry: 'PT' }).e164, '+351912345678');
+    assert.match(normalized('912 345 678', { defaultCountry: 'DE' }).reason, /Unsupported country DE/);
+  });
+  
+  it('accepts numbers of countries without rules within E.164 limits', () => {
+    assert.deepEqual(normalized('+44 20 7946 0958'), { valid: true, e164: '+442079460958', country: null, type: 'unknown', reason: null });
+    assert.equal(normalized('0044 20 7946 0958').e164, '+442079460958');
+    assert.match(normalized('+44 1234').reason, /International numbers must have 8-15 digits/);
+  });
+  
+  it('rejects empty numbers and misplaced + signs, and keeps extensions apart', () => {
+    assert.equal(normalized('  ').reason, 'Phone number is empty');
+    assert.equal(normalized(null).reason, 'Phone number is empty');
+    assert.equal(normalized('11+97777-1234').reason, 'Misplaced + sign');
+    
+    const withExtension = phoneNumber.normalize('(11) 3333-4444 ramal 21');
+    assert.equal(withExtension.e164, '+551133334444');
+    assert.equal(withExtension.extension, '21');
+  });
+  
+  it('refuses the phone types that are not allowed', () => {
+    const allowedTypes = phoneNumber.allowedTypes;
+    phoneNumber.allowedTypes = ['mobile'];
+    try {
+      assert.deepEqual(normalized('11 3333-4444'), {
+        valid: false, e164: '+551133334444', country: 'BR', type: 'landline', reason: 'Phone type landline is not allowed'
+      });
+      assert.equal(phoneNumber.toE164('11 3333-4444'), null);
+      assert.equal(phoneNumber.toE164('(11) 97777-1234'), '+5511977771234');
+    } finally {
+      phoneNumber.allowedTypes = allowedTypes;
+    }
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Redial policy: how a call connected, and whether and when it is dialed again (config/redial.json)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { useTempDataDir } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('RedialPolicy', () => {
+  let tempDir;
+  let redialPolicy;
+  
+  before(() => {
+    tempDir = useTempDataDir();
+    process.env.REDIAL_CONFIG = path.join(__dirname, '..', 'config', 'redial.json');
+    redialPolicy = require('../services/redialPolicy');
+  });
+  
+  after(() => {
+    delete process.env.REDIAL_CONFIG;
+    tempDir.cleanup();
+  });
+  
+  it('classifies how the call connected', () => {
+    assert.equal(redialPolicy.classify({ failureReason: 'Busy' }), 'busy');
+    assert.equal(redialPolicy.classify({ failureReason: 'no-answer' }), 'no_answer');
+    assert.equal(redialPolicy.classify({ failureReason: 'no answer' }), 'no_answer');
+    assert.equal(redialPolicy.classify({ terminationReason: 'Voicemail detected' }), 'voicemail');
+    assert.equal(redialPolicy.classify({ failureReason: 'unknown' }), 'failed');
+    assert.equal(redialPolicy.classify({ status: 'failed' }), 'failed');
+    assert.equal(redialPolicy.classify({ status: 'done' }), 'answered');
+  });
+  
+  it('redials unanswered calls after the outcome delay', () => {
+    const startedAt = Date.now();
+    const decision = redialPolicy.decide({ attempt: 1 }, { failureReason: 'busy' });
+    
+    assert.equal(decision.action, 'redial');
+    assert.equal(decision.attempt, 1);
+    assert.equal(decision.maxAttempts, 3);
+    assert.ok(decision.runAt.getTime() >= startedAt + 15 * MINUTE_MS);
+    assert.ok(decision.runAt.getTime() <= Date.now() + 15 * MINUTE_MS);
+    
+    assert.equal(redialPolicy.decide({ attempt: 2 }, { failureReason: 'no_answer' }).action, 'redial');
+  });
+  
+  it('gives up when attempts run out or the outcome is not retried', () => {
+    assert.deepEqual(redialPolicy.decide({ attempt: 3 }, { failureReason: 'busy' }), {
+      connection: 'busy', attempt: 3, maxAttempts: 3, runAt: null, action: 'give_up', reason: 'busy after 3 attempt(s)'
+    });
+    
+    // Voicemail has its own limit
+    const voicemail = redialPolicy.decide({ attempt: 2 }, { terminationReason: 'voicemail' });
+    assert.equal(voicemail.action, 'give_up');
+    assert.equal(voicemail.maxAttempts, 2);
+    
+    assert.equal(redialPolicy.decide({ attempt: 1 }, { failureReason: 'unknown' }).reason, 'No redial for failed');
+    assert.equal(redialPolicy.finalStatus, 'Unreachable');
+  });
+  
+  it('does nothing after an answered call', () => {
+    assert.equal(redialPolicy.decide(null, { status: 'done' }).action, 'none');
+  });
+  
+  it('never redials without a config file', () => {
+    const config = redialPolicy.config;
+    redialPolicy.config = redialPolicy.loadConfig(path.join(tempDir.dataDir, 'missing.json'));
+    try {
+      assert.equal(redialPolicy.decide({ attempt: 1 }, { failureReason: 'busy' }).action, 'give_up');
+      assert.equal(redialPolicy.finalStatus, null);
+    } finally {
+      redialPolicy.config = config;
+    }
+  });
+});
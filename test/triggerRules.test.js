@@ -0,0 +1,90 @@
+/**
+ * Trigger rules: rule order, event types, condition operators and condition validation
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir } = require('./helpers');
+
+describe('TriggerRules', () => {
+  let tempDir;
+  let triggerRules;
+  
+  before(() => {
+    tempDir = useTempDataDir();
+    
+    process.env.BOARD_CONFIG = path.join(tempDir.dataDir, 'boards.json');
+    fs.writeFileSync(process.env.BOARD_CONFIG, JSON.stringify({
+      boards: {
+        700: {
+          triggers: [
+            { name: 'ready', action: 'call', events: ['change_column_value'], conditions: [{ column: 'status', changedTo: 'Ready to call' }] },
+            { name: 'new-lead', action: 'call', events: ['create_pulse'], conditions: [{ group: 'New leads' }, { column: 'phone', isEmpty: false }] },
+            { name: 'do-not-call', action: 'skip', conditions: [{ column: 'checkbox_dnc', checked: true }] },
+            { name: 'priority', action: 'call', events: ['change_column_value'], conditions: [{ column: 'priority', in: ['High', 'Urgent'] }, { column: 'stage', notEquals: 'Lost' }] }
+          ]
+        }
+      }
+    }));
+    
+    triggerRules = require('../services/triggerRules');
+  });
+  
+  after(() => {
+    delete process.env.BOARD_CONFIG;
+    tempDir.cleanup();
+  });
+  
+  const lead = (event, columns = {}) => ({
+    boardId: 700,
+    group: { id: 'topics', title: 'New leads' },
+    mcpData: { columns: { phone: '+5511912345678', checkbox_dnc: '', stage: 'Open', ...columns } },
+    ...event
+  });
+  
+  it('calls on the first matching rule for the event', () => {
+    const changed = lead({ eventType: 'change_column_value', columnId: 'status', columnValue: { label: { text: 'ready to call' } } });
+    assert.deepEqual(triggerRules.evaluate(changed), { shouldCall: true, rule: 'ready', reason: null });
+    
+    assert.deepEqual(triggerRules.evaluate(lead({ eventType: 'create_pulse' })), { shouldCall: true, rule: 'new-lead', reason: null });
+    assert.equal(triggerRules.evaluate(lead({ eventType: 'create_pulse' }, { phone: ' ' })).reason, 'no_rule_matched');
+    
+    const priority = lead({ eventType: 'change_column_value', columnId: 'priority', columnValue: { label: { text: 'Urgent' } } });
+    assert.equal(triggerRules.evaluate(priority).rule, 'priority');
+    assert.equal(triggerRules.evaluate({ ...priority, mcpData: { columns: { stage: 'lost' } } }).reason, 'no_rule_matched');
+  });
+  
+  it('lets skip rules win whatever their position', () => {
+    const changed = lead(
+      { eventType: 'change_column_value', columnId: 'status', columnValue: { label: { text: 'Ready to call' } } },
+      { checkbox_dnc: 'v' }
+    );
+    assert.deepEqual(triggerRules.evaluate(changed), { shouldCall: false, rule: 'do-not-call', reason: 'blocked_by_rule' });
+    
+    // Campaigns have no event: only the skip rules apply
+    assert.equal(triggerRules.findSkipRule(lead({}, { checkbox_dnc: 'v' })).name, 'do-not-call');
+    assert.equal(triggerRules.findSkipRule(lead({})), null);
+  });
+  
+  it('only counts a change on the column the condition watches', () => {
+    const otherColumn = lead({ eventType: 'change_column_value', columnId: 'notes', columnValue: 'Ready to call' }, { status: 'Ready to call' });
+    assert.equal(triggerRules.evaluate(otherColumn).reason, 'no_rule_matched');
+  });
+  
+  it('calls on any creation or change on boards without rules', () => {
+    assert.equal(triggerRules.evaluate({ boardId: 701, eventType: 'create_pulse' }).rule, 'default');
+    assert.equal(triggerRules.evaluate({ boardId: 701, eventType: 'delete_pulse' }).reason, 'no_rule_matched');
+  });
+  
+  it('explains why a condition is invalid', () => {
+    assert.equal(triggerRules.conditionProblem({ column: 'status', equals: 'New' }), null);
+    assert.equal(triggerRules.conditionProblem({ group: 'new_leads' }), null);
+    assert.match(triggerRules.conditionProblem('status'), /invalid condition "status"/);
+    assert.match(triggerRules.conditionProblem({ equals: 'New' }), /needs a group or a column/);
+    assert.match(triggerRules.conditionProblem({ column: 'status', is: 'New' }), /condition on column status needs one of changedTo, equals/);
+    assert.match(triggerRules.conditionProblem({ column: 'status', in: 'New' }), /"in" of column status must be a list/);
+    assert.deepEqual(triggerRules.validate(), []);
+  });
+});
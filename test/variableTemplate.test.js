@@ -0,0 +1,99 @@
+/**
+ * Dynamic variables: value sources, transforms, type conversion, defaults and required variables
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir } = require('./helpers');
+
+describe('VariableTemplate', () => {
+  let tempDir;
+  let variableTemplate;
+  
+  before(() => {
+    tempDir = useTempDataDir();
+    
+    process.env.BOARD_CONFIG = path.join(tempDir.dataDir, 'boards.json');
+    fs.writeFileSync(process.env.BOARD_CONFIG, JSON.stringify({
+      boards: {
+        700: {
+          variables: {
+            first_name: { source: 'name', transform: 'firstName', required: true },
+            city: { column: 'text_city', transform: 'capitalize', default: 'your city' },
+            segment: { field: 'segment', source: 'company', transform: 'upper' },
+            seats: { column: 'numbers_seats', type: 'number' },
+            vip: { column: 'checkbox_vip', type: 'boolean' },
+            last_visit: { column: 'date_visit', type: 'date', locale: 'pt-BR' },
+            manager: { column: 'people_manager', required: true }
+          }
+        }
+      }
+    }));
+    
+    variableTemplate = require('../services/variableTemplate');
+  });
+  
+  after(() => {
+    delete process.env.BOARD_CONFIG;
+    tempDir.cleanup();
+  });
+  
+  it('builds the variables of the board template', () => {
+    const lead = {
+      boardId: 700,
+      name: '  Ana   Souza ',
+      company: 'Bistrô da Ana',
+      fields: { segment: 'fine dining' },
+      mcpData: {
+        columns: {
+          text_city: 'são PAULO',
+          numbers_seats: '1.234,5',
+          checkbox_vip: 'v',
+          date_visit: '2026-10-05',
+          people_manager: 'Carla Dias'
+        }
+      }
+    };
+    
+    assert.deepEqual(variableTemplate.build(lead), {
+      variables: {
+        first_name: 'Ana',
+        city: 'São Paulo',
+        segment: 'FINE DINING',
+        seats: 1234.5,
+        vip: true,
+        last_visit: '05/10/2026',
+        manager: 'Carla Dias'
+      },
+      missing: []
+    });
+  });
+  
+  it('falls back to the next source, then to the default, and lists required variables without value', () => {
+    const lead = {
+      boardId: 700,
+      name: '',
+      company: 'Pizzaria Lima',
+      mcpData: { columns: { text_city: '  ', numbers_seats: 'many', checkbox_vip: 'maybe', date_visit: 'soon' } }
+    };
+    
+    assert.deepEqual(variableTemplate.build(lead), {
+      variables: { city: 'your city', segment: 'PIZZARIA LIMA' },
+      missing: ['first_name', 'manager']
+    });
+  });
+  
+  it('uses the default template for boards without one', () => {
+    assert.deepEqual(variableTemplate.build({ boardId: 701, name: 'Bruno Lima', mcpData: { columns: {} } }), {
+      variables: { customer_name: 'Bruno Lima', company_name: 'your restaurant' },
+      missing: []
+    });
+  });
+  
+  it('refuses unknown transforms and types', () => {
+    assert.throws(() => variableTemplate.transform('Ana', { transform: 'reverse' }), /Unknown variable transform: reverse/);
+    assert.throws(() => variableTemplate.coerce('Ana', { type: 'json' }), /Unknown variable type: json/);
+  });
+});
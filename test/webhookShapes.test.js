@@ -0,0 +1,96 @@
+/**
+ * Monday.com webhook shapes handled by MondayService.processWebhook
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { fixture, startEnvironment } = require('./helpers');
+
+describe('MondayService.processWebhook', () => {
+  let env;
+  let mondayService;
+  
+  before(async () => {
+    env = await startEnvironment();
+    mondayService = require('../services/monday');
+  });
+  
+  after(async () => {
+    await env.close();
+  });
+  
+  it('reads the item from event.data.pulse_id and fetches its columns', async () => {
+    const lead = await mondayService.processWebhook(fixture('monday-event-data.json'));
+    
+    assert.equal(lead.id, 1001);
+    assert.equal(lead.boardId, 500);
+    assert.equal(lead.name, 'Ana Souza');
+    assert.equal(lead.phone, '+5511912345678');
+    assert.equal(lead.email, 'ana@bistro.com.br');
+    assert.equal(lead.company, 'Bistrô da Ana');
+    assert.deepEqual(lead.group, { id: 'new_leads', title: 'New leads' });
+    assert.equal(lead.eventType, 'create_pulse');
+    
+    const request = env.monday.requests.at(-1);
+    assert.deepEqual(request.variables, { itemId: '1001' });
+    assert.equal(request.headers['api-version'], '2025-04');
+  });
+  
+  it('reads the item from top-level pulseId and boardId', async () => {
+    const lead = await mondayService.processWebhook(fixture('monday-top-level.json'));
+    
+    assert.equal(lead.id, 1002);
+    assert.equal(lead.boardId, 500);
+    assert.equal(lead.name, 'Bruno Lima');
+    assert.equal(lead.phone, '+5511977771234');
+    assert.equal(lead.company, 'Pizzaria Lima');
+  });
+  
+  it('takes phone, email and company from columnValues when the item is unknown', async () => {
+    const lead = await mondayService.processWebhook(fixture('monday-column-values.json'));
+    
+    assert.equal(lead.id, 1003);
+    assert.equal(lead.mcpData, null);
+    assert.equal(lead.phone, '+5521987654321');
+    assert.equal(lead.email, 'carla@cantina.com.br');
+    assert.equal(lead.company, 'Cantina da Carla');
+    assert.equal(lead.columnId, 'status');
+    assert.deepEqual(lead.columnValue, { label: { index: 1, text: 'Ready to call' } });
+  });
+  
+  it('reads a phone stored with the country code but without +', async () => {
+    const lead = await mondayService.processWebhook({ event: { type: 'create_pulse', pulseId: 1004, boardId: 500 } });
+    
+    assert.equal(lead.phone, '+5511987654321');
+    assert.equal(lead.phoneError, null);
+  });
+  
+  it('validates a national phone with the country set on the phone column', async () => {
+    env.monday.addItem({
+      boardId: 501,
+      id: '1005',
+      name: 'Emily Carter',
+      column_values: [
+        { id: 'phone', text: '(212) 555-0123', value: '{"phone":"2125550123","countryShortName":"US"}' }
+      ]
+    });
+    
+    const lead = await mondayService.processWebhook({ event: { type: 'create_pulse', pulseId: 1005, boardId: 501 } });
+    assert.equal(lead.phone, '+12125550123');
+    assert.equal(lead.mcpData.phone, '+12125550123');
+  });
+  
+  it('ignores events other than item creation and column changes', async () => {
+    const lead = await mondayService.processWebhook({ event: { type: 'delete_pulse', pulseId: 1001, boardId: 500 } });
+    assert.equal(lead, null);
+  });
+  
+  it('fails instead of returning null when the Monday.com API rejects the key', async () => {
+    env.monday.failNext(401, { errors: [{ message: 'Not Authenticated', extensions: { code: 'USER_UNAUTHORIZED' } }] });
+    
+    await assert.rejects(
+      mondayService.processWebhook(fixture('monday-event-data.json')),
+      error => error.name === 'MondayApiError' && error.type === 'auth'
+    );
+  });
+});